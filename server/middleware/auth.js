@@ -0,0 +1,176 @@
+import { getAdminAuth } from '../services/firebaseAdmin.js';
+import { looksLikeApiKey } from '../services/ApiKeyService.js';
+
+let apiKeyService = null;
+let verifyIdToken = token => getAdminAuth().verifyIdToken(token);
+
+export function setApiKeyService(service) {
+  apiKeyService = service;
+}
+
+// Replaces Firebase ID token verification, e.g. with a fake verifier in tests.
+// verify(token) resolves to the decoded token or rejects.
+export function setTokenVerifier(verify) {
+  verifyIdToken = verify;
+}
+
+// Auth is bypassed entirely in development so the frontend can run without Firebase Auth
+export function isAuthBypassed() {
+  return process.env.NODE_ENV === 'development';
+}
+
+// API keys are sent as X-API-Key, or as a Bearer token starting with mv_
+function extractApiKey(req) {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  const bearer = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.split(' ')[1] : null;
+  return looksLikeApiKey(bearer) ? bearer : null;
+}
+
+// Verify an API key if the request carries one and attach it to req.apiKey.
+// Requests without a key pass through untouched. Keys are checked even in development.
+export const verifyApiKey = async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+  if (!apiKey) {
+    return next();
+  }
+
+  if (!apiKeyService) {
+    return res.status(503).json({ error: 'API key authentication unavailable' });
+  }
+
+  try {
+    const verified = await apiKeyService.verifyKey(apiKey);
+    if (!verified) {
+      console.warn('Auth middleware: rejected invalid or revoked API key');
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.apiKey = verified;
+    next();
+  } catch (error) {
+    console.error('API key verification error:', error.message);
+    res.status(401).json({ error: 'Invalid authentication' });
+  }
+};
+
+// Accept either an API key or a Firebase ID token. A verified Firebase user ends up in
+// req.user, a verified API key in req.apiKey.
+export const verifyToken = async (req, res, next) => {
+  if (extractApiKey(req)) {
+    return verifyApiKey(req, res, next);
+  }
+
+  if (isAuthBypassed()) {
+    console.log('Auth middleware: allowing request in development mode');
+    return next();
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'No auth token provided' });
+  }
+
+  const token = authHeader.split(' ')[1];
+
+  try {
+    const decoded = await verifyIdToken(token);
+
+    // Anonymous users carry no email; users that do have one must have verified it
+    if (process.env.NODE_ENV === 'production' && decoded.email && !decoded.email_verified) {
+      console.warn('Auth middleware: rejected unverified email for uid', decoded.uid);
+      return res.status(403).json({ error: 'Email address not verified' });
+    }
+
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      emailVerified: decoded.email_verified === true,
+      admin: decoded.admin === true
+    };
+    next();
+  } catch (error) {
+    console.error('Auth verification error:', error.message);
+    res.status(401).json({ error: 'Invalid authentication' });
+  }
+};
+
+// Users always act on their own data; API keys are limited to their scopes
+export function hasScope(req, scope) {
+  return !req.apiKey || req.apiKey.scopes.includes(scope);
+}
+
+// Require an API key scope. The scope may be computed from the request.
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!hasScope(req, required)) {
+      console.warn(`Auth middleware: API key ${req.apiKey.keyId} lacks scope ${required}`);
+      return res.status(403).json({ error: `API key lacks the ${required} scope` });
+    }
+    next();
+  };
+}
+
+// Admins are users with the `admin` custom claim or a uid listed in ADMIN_UIDS.
+// API keys never grant admin access.
+export const requireAdmin = (req, res, next) => {
+  if (isAuthBypassed() && !req.apiKey) {
+    return next();
+  }
+
+  const adminUids = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+  if (!req.user || !(req.user.admin || adminUids.includes(req.user.uid))) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  next();
+};
+
+// Ensure the authenticated user only touches their own data.
+// Every user identifier in the route params, body and query string must be the caller's,
+// so a request cannot name itself in one place and another user in the next.
+// API keys belong to trusted services and may act on behalf of any user.
+const USER_ID_FIELDS = [
+  ['params', 'userUUID'],
+  ['body', 'userUUID'],
+  ['body', 'user_id'],
+  ['query', 'userUUID'],
+  ['query', 'user_id']
+];
+
+export const authorizeUser = (req, res, next) => {
+  if (isAuthBypassed() || req.apiKey) {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const requestedUsers = USER_ID_FIELDS
+    .map(([source, field]) => req[source]?.[field])
+    .filter(value => value !== undefined && value !== null && value !== '');
+
+  // With no identifier at all, let the route handler report the missing userUUID
+  const foreignUser = requestedUsers.find(requestedUser => requestedUser !== req.user.uid);
+  if (foreignUser !== undefined) {
+    console.warn(`Auth middleware: uid ${req.user.uid} attempted to access data of ${foreignUser}`);
+    return res.status(403).json({ error: 'Not authorized to access this user\'s data' });
+  }
+
+  next();
+};
+
+export default {
+  verifyToken,
+  verifyApiKey,
+  authorizeUser,
+  requireScope,
+  requireAdmin,
+  hasScope,
+  isAuthBypassed,
+  setApiKeyService,
+  setTokenVerifier
+};
@@ -0,0 +1,134 @@
+// Token-bucket rate limiting per route group.
+//
+// Each client gets a bucket of `capacity` tokens that refills at `perMinute` tokens a minute;
+// every request takes one token and is rejected with 429 + Retry-After when the bucket is
+// empty. Clients are keyed on the verified uid or API key when the limiter runs after
+// verifyToken, and on the client IP otherwise.
+//
+// The auth group runs ahead of verifyToken/verifyApiKey, so it is always keyed on the IP and
+// bounds the token and key lookups that unauthenticated or forged requests cause.
+//
+// Limits are configured per group with RATE_LIMIT_<GROUP>_CAPACITY and
+// RATE_LIMIT_<GROUP>_PER_MINUTE (e.g. RATE_LIMIT_TOOLS_PER_MINUTE=30); a rate of 0 disables
+// the group's limiter.
+export const RATE_LIMIT_GROUPS = {
+  memory: { capacity: 120, perMinute: 60 },
+  tools: { capacity: 60, perMinute: 30 },
+  webhook: { capacity: 300, perMinute: 300 },
+  auth: { capacity: 300, perMinute: 300 }
+};
+
+// Bucket storage. The default keeps buckets in process memory, which is per instance;
+// deployments running several instances can plug in a shared store (e.g. Redis) with
+// setRateLimitStore(). take() must apply the refill and the deduction atomically.
+export class RateLimitStore {
+  // Returns { allowed, remaining, retryAfterSeconds }
+  async take(key, { capacity, perMinute }) {
+    throw new Error('Rate limit store does not implement take');
+  }
+}
+
+// Buckets that have refilled completely are dropped once the map grows past this
+const MAX_IDLE_BUCKETS = 10000;
+
+export class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super();
+    // key -> { tokens, updatedAt, capacity, refillPerMs }
+    this.buckets = new Map();
+  }
+
+  async take(key, { capacity, perMinute }, now = Date.now()) {
+    const refillPerMs = perMinute / 60000;
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    let result;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      result = { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+    } else {
+      result = { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+    }
+
+    this.buckets.set(key, bucket);
+    if (this.buckets.size > MAX_IDLE_BUCKETS) {
+      this.prune(now);
+    }
+    return result;
+  }
+
+  prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+export function setRateLimitStore(rateLimitStore) {
+  store = rateLimitStore;
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+export function getRateLimitConfig(group) {
+  const defaults = RATE_LIMIT_GROUPS[group];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    capacity: Math.max(1, envInt(`${prefix}_CAPACITY`, defaults.capacity)),
+    perMinute: envInt(`${prefix}_PER_MINUTE`, defaults.perMinute)
+  };
+}
+
+export function rateLimitKey(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.keyId}`;
+  }
+  return req.user?.uid ? `user:${req.user.uid}` : `ip:${req.ip}`;
+}
+
+export function rateLimit(group) {
+  const config = getRateLimitConfig(group);
+  if (config.perMinute === 0) {
+    console.log(`ℹ️ Rate limiting disabled for ${group}`);
+    return (req, res, next) => next();
+  }
+
+  return async (req, res, next) => {
+    try {
+      const key = rateLimitKey(req);
+      const { allowed, remaining, retryAfterSeconds } = await store.take(`${group}:${key}`, config);
+
+      res.set('RateLimit-Limit', String(config.capacity));
+      res.set('RateLimit-Remaining', String(remaining));
+
+      if (!allowed) {
+        console.log(`🚦 Rate limit exceeded for ${group} by ${key}`);
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+          error: 'Too many requests',
+          retryAfter: retryAfterSeconds
+        });
+      }
+
+      next();
+    } catch (error) {
+      // A broken shared store must not take the API down with it
+      console.error('❌ Rate limiter error:', error);
+      next();
+    }
+  };
+}
+
+export default rateLimit;
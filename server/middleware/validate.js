@@ -0,0 +1,20 @@
+import { validate } from '../validation/validator.js';
+
+// Validate req.body against a schema, responding 400 with every invalid field
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validate(schema, req.body ?? {});
+
+    if (errors.length > 0) {
+      console.log(`❌ Validation failed for ${req.method} ${req.path}:`, errors);
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    next();
+  };
+}
+
+export default validateBody;
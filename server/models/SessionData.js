@@ -0,0 +1,57 @@
+// Shared shape of a session's memory, produced by FirebaseMemoryService.getSessionData
+// and consumed by ContextTool and the session routes.
+
+/**
+ * @typedef {Object} SessionRecord
+ * @property {string} id
+ * @property {string} sessionId
+ * @property {string} timestamp ISO 8601
+ */
+
+/**
+ * @typedef {Object} SessionData
+ * @property {string} sessionId
+ * @property {Object|null} session Session metadata (status, startedAt, messageCount, ...)
+ * @property {SessionRecord[]} stages Stage progressions ({ stage, previousStage, ... })
+ * @property {SessionRecord[]} context Context entries ({ content, contextType, ... })
+ * @property {SessionRecord[]} breakthroughs Breakthrough moments ({ description, insight, ... })
+ * @property {SessionRecord[]} themes Therapeutic themes ({ theme, description, ... })
+ * @property {SessionRecord[]} transcript Conversation messages tied to the session ({ type, content, ... })
+ */
+
+// Subcollections under users/{uid}/sessions/{sessionId}, in SessionData key order
+export const SESSION_RECORD_TYPES = ['stages', 'context', 'breakthroughs', 'themes'];
+
+// Everything getSessionData can load: the subcollections plus the session's transcript,
+// which lives in users/{uid}/conversations with a matching sessionId
+export const SESSION_DATA_TYPES = [...SESSION_RECORD_TYPES, 'transcript'];
+
+function byTimestamp(a, b) {
+  return String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+}
+
+/**
+ * Normalizes raw session records into a SessionData. Missing record lists become
+ * empty arrays and every list is ordered oldest first.
+ * @returns {SessionData}
+ */
+export function createSessionData(sessionId, { session = null, ...records } = {}) {
+  const sessionData = { sessionId, session };
+
+  for (const type of SESSION_DATA_TYPES) {
+    sessionData[type] = [...(records[type] || [])].sort(byTimestamp);
+  }
+
+  return sessionData;
+}
+
+export function isEmptySessionData(sessionData) {
+  return SESSION_DATA_TYPES.every(type => sessionData[type].length === 0);
+}
+
+export default {
+  SESSION_RECORD_TYPES,
+  SESSION_DATA_TYPES,
+  createSessionData,
+  isEmptySessionData
+};
@@ -0,0 +1,85 @@
+// CSS (Core Symbolic Sequence) stages used to mark where a user is in the process.
+export const CSS_STAGES = {
+  '⊙': {
+    name: 'Pointed Origin',
+    meaning: 'Entry point, the initial awareness of a pattern',
+    guidance: 'Help the user name the pattern they are noticing. Stay curious and do not push toward a specific tension yet.'
+  },
+  '•': {
+    name: 'Focus/Bind',
+    meaning: 'Attention binds to a specific tension or contradiction',
+    guidance: 'Stay with the specific tension the user is focused on and reflect it back precisely, without rushing to resolve it.'
+  },
+  '_': {
+    name: 'Suspension',
+    meaning: 'Holding the contradiction without resolving it',
+    guidance: 'Support the user in holding both sides of the contradiction. Resist offering solutions and normalize not knowing yet.'
+  },
+  '1': {
+    name: 'Gesture Toward',
+    meaning: 'First movement toward a new relationship with the pattern',
+    guidance: 'Notice and affirm small movements toward a new relationship with the pattern, keeping them tentative and self-directed.'
+  },
+  '2': {
+    name: 'Completion',
+    meaning: 'Integration of the opposing elements',
+    guidance: 'Help the user put into their own words how the opposing elements now fit together.'
+  },
+  '⊘': {
+    name: 'Terminal',
+    meaning: 'The pattern is released and the cycle closes',
+    guidance: 'Acknowledge that the cycle has closed, invite reflection on what was released, and stay open to a new origin.'
+  }
+};
+
+// Listed explicitly: Object.keys would move the numeric symbols to the front
+export const STAGE_SYMBOLS = ['⊙', '•', '_', '1', '2', '⊘'];
+
+export function isValidStage(symbol) {
+  return STAGE_SYMBOLS.includes(symbol);
+}
+
+// Kinds of movement between stages. The sequence moves forward one stage at a time, may fall
+// back to any earlier stage, and starts over at ⊙ once it reaches ⊘. Skipping ahead is the
+// only movement that is not allowed.
+export const TRANSITION_TYPES = {
+  initial: { allowed: true, meaning: 'First recorded stage' },
+  hold: { allowed: true, meaning: 'Remains in the same stage' },
+  advance: { allowed: true, meaning: 'Moves forward to the next stage' },
+  regression: { allowed: true, meaning: 'Falls back to an earlier stage' },
+  new_cycle: { allowed: true, meaning: 'The cycle closed and a new one begins at the origin' },
+  skip: { allowed: false, meaning: 'Jumps ahead past a stage that was never reached' }
+};
+
+export function transitionType(from, to) {
+  if (!isValidStage(from)) return 'initial';
+  if (from === to) return 'hold';
+
+  const fromIndex = STAGE_SYMBOLS.indexOf(from);
+  const toIndex = STAGE_SYMBOLS.indexOf(to);
+  if (from === '⊘' && to === '⊙') return 'new_cycle';
+  if (toIndex === fromIndex + 1) return 'advance';
+  if (toIndex < fromIndex) return 'regression';
+  return 'skip';
+}
+
+export function isAllowedTransition(from, to) {
+  return isValidStage(to) && TRANSITION_TYPES[transitionType(from, to)].allowed;
+}
+
+// Every allowed stage after `from`, with the kind of movement it would be
+export function allowedTransitions(from) {
+  return STAGE_SYMBOLS
+    .filter(to => isAllowedTransition(from, to))
+    .map(to => ({ stage: to, name: CSS_STAGES[to].name, type: transitionType(from, to) }));
+}
+
+export default {
+  CSS_STAGES,
+  STAGE_SYMBOLS,
+  TRANSITION_TYPES,
+  isValidStage,
+  transitionType,
+  isAllowedTransition,
+  allowedTransitions
+};
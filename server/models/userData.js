@@ -0,0 +1,40 @@
+import { SESSION_RECORD_TYPES } from './SessionData.js';
+
+// Layout of everything stored for one user under users/{uid}.
+// Export, import and deletion walk these lists, so a new subcollection must be added here.
+
+// Timestamped record collections directly under the user
+export const USER_RECORD_COLLECTIONS = ['conversations', 'stages', 'context'];
+
+// Bookkeeping collections under the user (digests, conversation->session map, active session
+// pointer, records moved out of memory by the retention sweeper, wrapped encryption keys,
+// recurring theme index and the sessions each theme came up in)
+export const USER_INTERNAL_COLLECTIONS = [
+  'digests', 'conversationSessions', 'meta', 'archive', 'keys', 'themeIndex', 'themeSessions'
+];
+
+// Top-level registry of users that have stored memory, one document per uid. Users can have
+// records without a profile document, so the retention sweeper walks this instead of users/.
+export const USER_REGISTRY_COLLECTION = 'memoryUsers';
+
+// Session metadata lives in users/{uid}/sessions/{sessionId}, with SESSION_RECORD_TYPES below it
+export const SESSIONS_COLLECTION = 'sessions';
+
+export { SESSION_RECORD_TYPES };
+
+// Record types with a configurable retention period (see RetentionService)
+export const RETENTION_RECORD_TYPES = ['conversations', 'context', 'stages', 'breakthroughs', 'themes'];
+
+export const EXPORT_FORMAT = 'memory-vasa-export';
+export const EXPORT_VERSION = 1;
+
+export default {
+  USER_RECORD_COLLECTIONS,
+  USER_INTERNAL_COLLECTIONS,
+  USER_REGISTRY_COLLECTION,
+  SESSIONS_COLLECTION,
+  SESSION_RECORD_TYPES,
+  RETENTION_RECORD_TYPES,
+  EXPORT_FORMAT,
+  EXPORT_VERSION
+};
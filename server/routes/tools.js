@@ -1,11 +1,18 @@
 import express from 'express';
-import { initializeToolsWithFirebase, getTools } from './index.js';
+import { initializeToolsWithFirebase, getTools, getToolSchemas } from '../tools/index.js';
+import { validate } from '../validation/validator.js';
+import { hasScope, requireScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Store reference to Firebase service
 let firebaseService = null;
 
+// Older agent configurations call tools by these route names
+const TOOL_ALIASES = {
+  context: 'get_user_context'
+};
+
 // Initialize tools with Firebase service
 export { initializeToolsWithFirebase };
 
@@ -15,8 +22,15 @@ export function setFirebaseService(service) {
   console.log('✅ Tools router initialized with Firebase service');
 }
 
-// Route to execute context tool
-router.post('/context', async (req, res) => {
+// List every tool schema in function-calling format
+router.get('/', requireScope('tools:read'), (req, res) => {
+  res.json({ tools: getToolSchemas() });
+});
+
+// Execute any registered tool by name
+router.post('/:toolName', async (req, res) => {
+  const toolName = TOOL_ALIASES[req.params.toolName] || req.params.toolName;
+
   try {
     if (!firebaseService) {
       return res.status(500).json({
@@ -24,36 +38,37 @@ router.post('/context', async (req, res) => {
       });
     }
 
-    const tools = getTools();
-    if (!tools || !tools.get_user_context) {
-      return res.status(500).json({
-        error: 'Context tool not available'
+    const tool = getTools()?.[toolName];
+    if (!tool) {
+      return res.status(404).json({
+        error: `Unknown tool: ${toolName}`
       });
     }
 
-    const { user_id, context_type = 'all', limit = 10 } = req.body;
+    if (!hasScope(req, tool.scope)) {
+      return res.status(403).json({
+        error: `API key lacks the ${tool.scope} scope`
+      });
+    }
 
-    if (!user_id) {
+    const parameters = req.body || {};
+    const errors = validate(tool.schema.function.parameters, parameters);
+    if (errors.length > 0) {
       return res.status(400).json({
-        error: 'user_id is required'
+        error: 'Invalid parameters',
+        details: errors
       });
     }
 
-    // Execute context tool
-    const result = await tools.get_user_context.execute({
-      user_id,
-      context_type,
-      limit
-    });
-
-    res.json(result);
+    const result = await tool.execute(parameters);
+    res.status(result.success || !result.details ? 200 : 400).json(result);
   } catch (error) {
-    console.error('Context tool execution error:', error);
+    console.error(`${toolName} tool execution error:`, error);
     res.status(500).json({
-      error: 'Failed to execute context tool',
+      error: `Failed to execute ${toolName} tool`,
       details: error.message
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
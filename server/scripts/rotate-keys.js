@@ -0,0 +1,103 @@
+// Key rotation for field-level encryption at rest (see services/encryption/KeyManager.js).
+//
+//   npm run rotate-keys                          re-wrap every user's data keys under the
+//                                                current MEMORY_MASTER_KEY
+//   npm run rotate-keys -- --new-data-keys       also give every user a new data key and
+//                                                re-encrypt their records with it
+//   npm run rotate-keys -- --user <uid>          only rotate one user
+//
+// To replace the master key: set MEMORY_MASTER_KEY to the new key, move the old one to
+// MEMORY_PREVIOUS_MASTER_KEYS, run this script, then remove the old key from the environment.
+// Re-encrypting also encrypts records written before encryption was enabled.
+import dotenv from 'dotenv';
+import {
+  USER_RECORD_COLLECTIONS,
+  USER_INTERNAL_COLLECTIONS,
+  USER_REGISTRY_COLLECTION,
+  SESSIONS_COLLECTION,
+  SESSION_RECORD_TYPES
+} from '../models/userData.js';
+
+dotenv.config();
+
+// Storage reads Firebase settings from env at import time
+const { createStorageAdapter, EncryptingStorageAdapter } = await import('../services/storage/index.js');
+const { discoverSessionIds } = await import('../services/DeletionService.js');
+
+function parseArgs(argv) {
+  const userIndex = argv.indexOf('--user');
+  return {
+    newDataKeys: argv.includes('--new-data-keys'),
+    userUUID: userIndex >= 0 ? argv[userIndex + 1] : null
+  };
+}
+
+// Rewrites every document holding encrypted (or still plaintext) sensitive fields,
+// which encrypts them with the user's current data key. Returns the number rewritten.
+async function reencryptUser(storage, userUUID) {
+  const userPath = ['users', userUUID];
+  const collections = [...USER_RECORD_COLLECTIONS, ...USER_INTERNAL_COLLECTIONS]
+    .filter(collectionName => storage.fields.has(collectionName))
+    .map(collectionName => [...userPath, collectionName]);
+
+  for (const sessionId of await discoverSessionIds(storage, userUUID)) {
+    SESSION_RECORD_TYPES
+      .filter(type => storage.fields.has(type))
+      .forEach(type => collections.push([...userPath, SESSIONS_COLLECTION, sessionId, type]));
+  }
+
+  let rewritten = 0;
+  for (const collectionPath of collections) {
+    for (const { id, ...data } of await storage.queryDocs(collectionPath)) {
+      await storage.setDoc([...collectionPath, id], data);
+      rewritten++;
+    }
+  }
+  return rewritten;
+}
+
+async function main() {
+  const { newDataKeys, userUUID } = parseArgs(process.argv.slice(2));
+  const storage = createStorageAdapter();
+
+  if (!(storage instanceof EncryptingStorageAdapter)) {
+    throw new Error('MEMORY_MASTER_KEY is not set, nothing to rotate');
+  }
+
+  const userUUIDs = userUUID ? [userUUID] : [...new Set([
+    ...(await storage.queryDocs([USER_REGISTRY_COLLECTION])).map(docData => docData.id),
+    ...(await storage.queryDocs(['users'])).map(docData => docData.id)
+  ])];
+
+  console.log(`🔑 Rotating keys for ${userUUIDs.length} users${newDataKeys ? ' (new data keys)' : ''}`);
+  let failures = 0;
+
+  for (const uid of userUUIDs) {
+    try {
+      const rewrapped = await storage.keyManager.rewrapUserKeys(uid);
+      let summary = `${rewrapped} keys rewrapped`;
+
+      if (newDataKeys) {
+        // Create the first key for users who only have plaintext so far
+        await storage.keyManager.getCurrentKey(uid);
+        const version = await storage.keyManager.rotateUserKey(uid);
+        summary += `, data key v${version}, ${await reencryptUser(storage, uid)} documents re-encrypted`;
+      }
+
+      console.log(`✅ ${uid}: ${summary}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${uid}: key rotation failed:`, error.message);
+    }
+  }
+
+  console.log(`🔑 Key rotation finished with ${failures} failures`);
+  return failures;
+}
+
+main()
+  .then(failures => process.exit(failures > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+// API keys for server-to-server callers (the ElevenLabs agent's tool calls, webhooks, jobs).
+//
+// A key looks like mv_<keyId>_<secret>. Only a SHA-256 hash of the secret is stored, at
+// apiKeys/{keyId}, so the plaintext key is shown exactly once when it is created. Keys carry
+// scopes and act on behalf of any user; revoking sets revokedAt and keeps the record for audit.
+export const API_KEY_SCOPES = ['tools:read', 'tools:write', 'memory:read', 'memory:write', 'webhook'];
+
+const KEY_PREFIX = 'mv_';
+const KEY_PATTERN = /^mv_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+// Verified keys are cached briefly so every request does not cost a read; a revoked key
+// therefore stops working within this window
+const CACHE_TTL_MS = 60 * 1000;
+
+// Only keys that exist are cached, so the cache is bounded by the number of real keys; this
+// caps it anyway, dropping the oldest entry first
+const MAX_CACHED_KEYS = 1000;
+
+// lastUsedAt is only written when it is older than this, to keep writes per request at zero
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+export class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+export function looksLikeApiKey(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// The stored record without its hash
+function publicRecord({ hash, ...record }) {
+  return record;
+}
+
+class ApiKeyService {
+  constructor(storage) {
+    this.storage = storage;
+    // keyId -> { record, loadedAt }
+    this.cache = new Map();
+  }
+
+  keyPath(keyId) {
+    return ['apiKeys', keyId];
+  }
+
+  // Returns { apiKey, key } where apiKey is the plaintext to hand to the caller
+  async createKey({ name, scopes, createdBy = null }) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 200) {
+      throw new ApiKeyError('name is required (up to 200 characters)');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      throw new ApiKeyError(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      keyId,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      lastUsedAt: null,
+      revokedAt: null,
+      revokedBy: null
+    };
+
+    await this.storage.setDoc(this.keyPath(keyId), record);
+    console.log(`🔑 API key ${keyId} (${record.name}) created with scopes:`, record.scopes);
+    return { apiKey: `${KEY_PREFIX}${keyId}_${secret}`, key: publicRecord(record) };
+  }
+
+  async listKeys() {
+    const records = await this.storage.queryDocs(['apiKeys'], { orderBy: { field: 'createdAt', direction: 'desc' } });
+    return records.map(({ id, ...record }) => publicRecord(record));
+  }
+
+  // Returns the revoked key, or null if it does not exist
+  async revokeKey(keyId, revokedBy = null) {
+    const record = await this.storage.getDoc(this.keyPath(keyId));
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      Object.assign(record, { revokedAt: new Date().toISOString(), revokedBy });
+      await this.storage.setDoc(this.keyPath(keyId), record);
+      console.log(`🔑 API key ${keyId} revoked`);
+    }
+    this.cache.delete(keyId);
+    return publicRecord(record);
+  }
+
+  // The stored key record (through the cache), or null. Unknown ids are never cached, so
+  // random well-formed keys cannot grow the cache.
+  async loadKey(keyId) {
+    const cached = this.cache.get(keyId);
+    if (cached && Date.now() - cached.loadedAt <= CACHE_TTL_MS) {
+      return cached.record;
+    }
+
+    this.cache.delete(keyId);
+    const record = await this.storage.getDoc(this.keyPath(keyId));
+    if (record) {
+      if (this.cache.size >= MAX_CACHED_KEYS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(keyId, { record, loadedAt: Date.now() });
+    }
+    return record;
+  }
+
+  // Returns { keyId, name, scopes } for a valid, unrevoked key, otherwise null
+  async verifyKey(apiKey) {
+    const match = KEY_PATTERN.exec(apiKey || '');
+    if (!match) {
+      return null;
+    }
+    const [, keyId, secret] = match;
+
+    const record = await this.loadKey(keyId);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date().toISOString();
+      this.storage.setDoc(this.keyPath(keyId), { lastUsedAt: record.lastUsedAt }, { merge: true })
+        .catch(error => console.error('❌ Error updating API key lastUsedAt:', error));
+    }
+
+    return { keyId, name: record.name, scopes: record.scopes };
+  }
+}
+
+export default ApiKeyService;
@@ -0,0 +1,223 @@
+import { CSS_STAGES } from '../models/stages.js';
+
+// Assembles agent context within a size budget.
+//
+// Agents have very different prompt budgets, so instead of a fixed shape the builder gathers
+// candidate items per section and packs them in priority order: every item of the first
+// section that fits, then the next section, and so on. Within a section the most valuable
+// items come first (e.g. the newest turns). An item that does not fit is shortened when its
+// text can be cut and enough room is left, otherwise it is dropped. The result reports the
+// space used and what was dropped or shortened.
+//
+// Sizes are measured on the JSON of the packed context; tokens are estimated at
+// CHARS_PER_TOKEN characters each.
+export const CONTEXT_SECTIONS = ['current_stage', 'profile', 'breakthroughs', 'themes', 'recent_turns', 'search_hits'];
+export const DEFAULT_PRIORITIES = CONTEXT_SECTIONS;
+
+export const CHARS_PER_TOKEN = 4;
+
+// Shortened text below this length is not worth including
+const MIN_TRUNCATED_TEXT = 40;
+
+const size = value => JSON.stringify(value).length;
+
+class ContextBuilder {
+  constructor(memoryService) {
+    this.memoryService = memoryService;
+  }
+
+  // options: { maxTokens, maxChars, priorities, query, limit, window }
+  // Sections left out of priorities are not included at all. window picks the recent turns
+  // (see ConversationWindowService.js) and defaults to the latest ones.
+  async build(userUUID, {
+    maxTokens, maxChars, priorities = DEFAULT_PRIORITIES, query = null, limit = 10, window = {}
+  } = {}) {
+    const budget = Math.min(
+      maxChars || Infinity,
+      maxTokens ? maxTokens * CHARS_PER_TOKEN : Infinity
+    );
+    const sections = priorities.filter((section, index) =>
+      CONTEXT_SECTIONS.includes(section) && priorities.indexOf(section) === index
+    );
+
+    const context = {};
+    const report = [];
+
+    for (const section of sections) {
+      const { items, textField, single } = await this.collect(section, userUUID, { query, limit, window });
+      const entry = { section, available: items.length, included: 0, truncated: 0, dropped: 0 };
+      report.push(entry);
+
+      for (const item of items) {
+        const packed = this.fit(context, section, item, textField, single, budget);
+        if (!packed) {
+          entry.dropped++;
+          continue;
+        }
+        entry.included++;
+        if (packed.truncated) entry.truncated++;
+      }
+    }
+
+    // Turns are packed newest first but read best in order
+    context.recent_turns?.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+    const usedChars = size(context);
+    return {
+      context,
+      budget: {
+        max_chars: Number.isFinite(budget) ? budget : null,
+        max_tokens: maxTokens || null,
+        used_chars: usedChars,
+        used_tokens_estimate: Math.ceil(usedChars / CHARS_PER_TOKEN)
+      },
+      sections: report,
+      dropped: report.filter(entry => entry.dropped > 0).map(({ section, dropped }) => ({ section, dropped }))
+    };
+  }
+
+  // Adds the item to the context if it fits, shortening its text if needed.
+  // Returns { truncated } when added, null when it had to be dropped.
+  fit(context, section, item, textField, single, budget) {
+    const add = value => {
+      if (single) {
+        context[section] = value;
+      } else {
+        (context[section] ||= []).push(value);
+      }
+    };
+    const remove = () => {
+      if (single) {
+        delete context[section];
+      } else {
+        context[section].pop();
+        if (context[section].length === 0) delete context[section];
+      }
+    };
+
+    add(item);
+    if (size(context) <= budget) {
+      return { truncated: false };
+    }
+    remove();
+
+    const text = textField && item[textField];
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    // Room left for the text once the item without it is in place
+    add({ ...item, [textField]: '' });
+    const room = budget - size(context) - 1;
+    remove();
+    if (room < MIN_TRUNCATED_TEXT || room >= text.length) {
+      return null;
+    }
+
+    const shortened = { ...item, [textField]: `${text.substring(0, room - 1).trimEnd()}…` };
+    add(shortened);
+    if (size(context) <= budget) {
+      return { truncated: true };
+    }
+    remove();
+    return null;
+  }
+
+  // Candidate items for a section, most valuable first
+  async collect(section, userUUID, { query, limit, window }) {
+    const memory = this.memoryService;
+
+    switch (section) {
+      case 'current_stage': {
+        const state = await memory.getStageState(userUUID);
+        if (!state.currentStage) return { items: [], single: true };
+        return {
+          single: true,
+          items: [{
+            stage: state.currentStage,
+            name: CSS_STAGES[state.currentStage].name,
+            previous_stage: state.previousStage,
+            changed_at: state.changedAt,
+            direction: state.direction,
+            guidance: CSS_STAGES[state.currentStage].guidance
+          }]
+        };
+      }
+
+      case 'profile': {
+        const profile = await memory.getUserProfile(userUUID);
+        if (!profile) return { items: [], single: true };
+        return {
+          single: true,
+          items: [{
+            symbolic_name: profile.symbolicName || profile.name || null,
+            session_count: profile.sessionCount || 0,
+            recurring_themes: profile.recurring_themes || []
+          }]
+        };
+      }
+
+      case 'breakthroughs': {
+        const breakthroughs = await memory.getRecentSessionRecords(userUUID, 'breakthroughs', limit);
+        return {
+          textField: 'description',
+          items: breakthroughs.map(record => ({
+            description: record.description,
+            insight: record.insight || null,
+            stage: record.stage || null,
+            timestamp: record.timestamp
+          }))
+        };
+      }
+
+      case 'themes': {
+        const themes = await memory.getThemes(userUUID, { limit });
+        return {
+          textField: 'description',
+          items: themes.map(entry => ({
+            theme: entry.theme,
+            recurrence: entry.recurrence,
+            description: entry.description,
+            last_seen: entry.lastSeenAt
+          }))
+        };
+      }
+
+      case 'recent_turns': {
+        const { turns } = await memory.getConversationWindow(userUUID, {
+          ...window,
+          mode: window.mode || 'latest',
+          limit
+        });
+        return {
+          textField: 'content',
+          items: turns.reverse().map(turn => ({
+            speaker: turn.speaker,
+            type: turn.type,
+            content: turn.content,
+            stage: turn.stage,
+            timestamp: turn.timestamp
+          }))
+        };
+      }
+
+      case 'search_hits': {
+        if (!query) return { items: [] };
+        const results = await memory.searchMemory(userUUID, query, { limit });
+        return {
+          textField: 'snippet',
+          items: results.map(result => ({
+            type: result.type,
+            snippet: result.snippet,
+            timestamp: result.timestamp
+          }))
+        };
+      }
+
+      default:
+        return { items: [] };
+    }
+  }
+}
+
+export default ContextBuilder;
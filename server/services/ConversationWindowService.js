@@ -0,0 +1,127 @@
+// Windows of conversation turns for the agent. Every mode returns turns oldest first,
+// labelled with who spoke:
+//   latest             the newest `limit` turns
+//   session            the newest `limit` turns of one session
+//   around             up to `limit` turns centred on the `around` timestamp
+//   since_last_session turns since the previous session started (so the whole last session
+//                      plus anything after it), capped to the newest `limit`
+export const CONVERSATION_WINDOW_MODES = ['latest', 'session', 'around', 'since_last_session'];
+
+export const SPEAKER_LABELS = {
+  user: 'User',
+  assistant: 'VASA',
+  system: 'System'
+};
+
+export class ConversationWindowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversationWindowError';
+  }
+}
+
+export function toTurn(message) {
+  return {
+    speaker: SPEAKER_LABELS[message.type] || message.type || 'Unknown',
+    type: message.type,
+    content: message.content,
+    stage: message.stage || null,
+    session_id: message.sessionId || null,
+    timestamp: message.timestamp
+  };
+}
+
+const byTimestamp = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+class ConversationWindowService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  conversationsPath(userUUID) {
+    return ['users', userUUID, 'conversations'];
+  }
+
+  // Returns { mode, turns, ...details of the window }
+  async getWindow(userUUID, { mode = 'latest', limit = 10, sessionId = null, around = null } = {}) {
+    switch (mode) {
+      case 'latest':
+        return { mode, turns: await this.newest(userUUID, limit) };
+
+      case 'session': {
+        if (!sessionId) {
+          throw new ConversationWindowError('The session window needs a session');
+        }
+        // Filtered without ordering so no composite index is needed; sessions are small
+        const messages = await this.storage.queryDocs(this.conversationsPath(userUUID), {
+          where: [['sessionId', '==', sessionId]]
+        });
+        return { mode, session_id: sessionId, turns: messages.sort(byTimestamp).slice(-limit).map(toTurn) };
+      }
+
+      case 'around': {
+        const time = around ? Date.parse(around) : NaN;
+        if (Number.isNaN(time)) {
+          throw new ConversationWindowError('The around window needs an ISO 8601 timestamp');
+        }
+        const center = new Date(time).toISOString();
+        // The halves add up to limit. A page size of 0 would mean no limit at all to the
+        // storage adapters, so an empty half is never queried.
+        const beforeSize = Math.ceil(limit / 2);
+        const afterSize = limit - beforeSize;
+        const before = beforeSize > 0 ? await this.storage.queryDocs(this.conversationsPath(userUUID), {
+          where: [['timestamp', '<=', center]],
+          orderBy: { field: 'timestamp', direction: 'desc' },
+          limit: beforeSize
+        }) : [];
+        const after = afterSize > 0 ? await this.storage.queryDocs(this.conversationsPath(userUUID), {
+          where: [['timestamp', '>', center]],
+          orderBy: { field: 'timestamp', direction: 'asc' },
+          limit: afterSize
+        }) : [];
+        return { mode, around: center, turns: [...before.reverse(), ...after].map(toTurn) };
+      }
+
+      case 'since_last_session': {
+        const previous = await this.previousSession(userUUID, sessionId);
+        if (!previous) {
+          // Nothing to anchor on yet, so the newest turns are the best we have
+          return { mode, previous_session_id: null, since: null, turns: await this.newest(userUUID, limit) };
+        }
+        const messages = await this.storage.queryDocs(this.conversationsPath(userUUID), {
+          where: [['timestamp', '>=', previous.startedAt]],
+          orderBy: { field: 'timestamp', direction: 'desc' },
+          limit
+        });
+        return {
+          mode,
+          previous_session_id: previous.id,
+          since: previous.startedAt,
+          turns: messages.reverse().map(toTurn)
+        };
+      }
+
+      default:
+        throw new ConversationWindowError(`Unknown window mode: ${mode}`);
+    }
+  }
+
+  async newest(userUUID, limit) {
+    const messages = await this.storage.queryDocs(this.conversationsPath(userUUID), {
+      orderBy: { field: 'timestamp', direction: 'desc' },
+      limit
+    });
+    return messages.reverse().map(toTurn);
+  }
+
+  // The most recently started session other than the current one
+  async previousSession(userUUID, currentSessionId) {
+    const sessions = await this.storage.queryDocs(['users', userUUID, 'sessions'], {
+      orderBy: { field: 'startedAt', direction: 'desc' },
+      limit: 5
+    });
+    return sessions.find(session => session.id !== currentSessionId && session.startedAt) || null;
+  }
+}
+
+export default ConversationWindowService;
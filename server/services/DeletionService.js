@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import {
+  USER_RECORD_COLLECTIONS,
+  USER_INTERNAL_COLLECTIONS,
+  USER_REGISTRY_COLLECTION,
+  SESSIONS_COLLECTION,
+  SESSION_RECORD_TYPES
+} from '../models/userData.js';
+
+// Right-to-erasure deletion of everything stored for a user.
+//
+// Deletion runs as a job tracked at deletionJobs/{jobId} (outside the user's tree so it
+// survives the deletion). Documents are removed in chunks and the job's counts are saved
+// after every chunk, so progress is visible while it runs. Deleting is idempotent, which
+// makes resuming a failed job simply running it again. A completed job also writes an
+// audit record to deletionAudit/{jobId}. A job only completes once a fresh scan finds
+// nothing left of the user.
+export const CHUNK_SIZE = 400;
+
+const MAX_DELETION_PASSES = 3;
+
+// Records of one type across all of a user's sessions, as [{ sessionId, record }]. Sessions
+// written before session documents existed have no parent document, so the records are
+// found with a collection group query below the user rather than session by session.
+export async function querySessionRecords(storage, userUUID, type, options = {}) {
+  const records = await storage.queryCollectionGroup(type, ['users', userUUID], options);
+  return records
+    .filter(({ path }) => path.length === 6 && path[2] === SESSIONS_COLLECTION)
+    .map(({ path, ...record }) => ({ sessionId: path[3], record }));
+}
+
+// Every session of a user: each session document plus every session that holds records
+export async function discoverSessionIds(storage, userUUID) {
+  const ids = new Set(
+    (await storage.queryDocs(['users', userUUID, SESSIONS_COLLECTION])).map(session => session.id)
+  );
+
+  for (const type of SESSION_RECORD_TYPES) {
+    (await querySessionRecords(storage, userUUID, type)).forEach(({ sessionId }) => ids.add(sessionId));
+  }
+
+  return [...ids];
+}
+
+class DeletionService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  jobPath(jobId) {
+    return ['deletionJobs', jobId];
+  }
+
+  async getJob(jobId) {
+    return this.storage.getDoc(this.jobPath(jobId));
+  }
+
+  async createJob(userUUID, requestedBy = null) {
+    const jobId = `del_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const job = {
+      jobId,
+      userUUID,
+      requestedBy,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null,
+      sessionIds: null,
+      counts: {},
+      totalDeleted: 0,
+      attempts: 0,
+      error: null
+    };
+    await this.storage.setDoc(this.jobPath(jobId), job);
+    return job;
+  }
+
+  async updateJob(job, updates) {
+    Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+    await this.storage.setDoc(this.jobPath(job.jobId), job);
+  }
+
+  // Deletes a whole collection chunk by chunk, recording progress under countKey
+  async deleteCollection(job, collectionPath, countKey) {
+    for (;;) {
+      const docs = await this.storage.queryDocs(collectionPath, { limit: CHUNK_SIZE });
+      if (docs.length === 0) {
+        return;
+      }
+
+      await this.storage.deleteDocs(docs.map(docData => [...collectionPath, docData.id]));
+      await this.updateJob(job, {
+        counts: { ...job.counts, [countKey]: (job.counts[countKey] || 0) + docs.length },
+        totalDeleted: job.totalDeleted + docs.length
+      });
+    }
+  }
+
+  async deleteDoc(job, path, countKey) {
+    if (await this.storage.getDoc(path)) {
+      await this.storage.deleteDoc(path);
+      await this.updateJob(job, {
+        counts: { ...job.counts, [countKey]: (job.counts[countKey] || 0) + 1 },
+        totalDeleted: job.totalDeleted + 1
+      });
+    }
+  }
+
+  async deleteUserData(job, userUUID, sessionIds) {
+    const userPath = ['users', userUUID];
+
+    for (const sessionId of sessionIds) {
+      const sessionPath = [...userPath, SESSIONS_COLLECTION, sessionId];
+      for (const type of SESSION_RECORD_TYPES) {
+        await this.deleteCollection(job, [...sessionPath, type], `sessions.${type}`);
+      }
+      await this.deleteDoc(job, sessionPath, 'sessions');
+    }
+
+    for (const collectionName of [...USER_RECORD_COLLECTIONS, ...USER_INTERNAL_COLLECTIONS]) {
+      await this.deleteCollection(job, [...userPath, collectionName], collectionName);
+    }
+
+    await this.deleteDoc(job, [USER_REGISTRY_COLLECTION, userUUID], 'registry');
+
+    // The profile goes last so a half-finished job still shows whose data it was
+    await this.deleteDoc(job, userPath, 'profile');
+  }
+
+  // Re-scans everything a user can have stored; true when nothing is left
+  async isErased(userUUID) {
+    const userPath = ['users', userUUID];
+    if (await this.storage.getDoc(userPath) || await this.storage.getDoc([USER_REGISTRY_COLLECTION, userUUID])) {
+      return false;
+    }
+    if ((await discoverSessionIds(this.storage, userUUID)).length > 0) {
+      return false;
+    }
+    for (const collectionName of [...USER_RECORD_COLLECTIONS, ...USER_INTERNAL_COLLECTIONS]) {
+      if ((await this.storage.queryDocs([...userPath, collectionName], { limit: 1 })).length > 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Runs (or resumes) a job to completion. Returns the final job document.
+  async runJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error(`Deletion job ${jobId} not found`);
+    }
+    if (job.status === 'completed') {
+      return job;
+    }
+
+    const { userUUID } = job;
+    await this.updateJob(job, { status: 'running', attempts: job.attempts + 1, error: null });
+    console.log(`🗑️ Deletion job ${jobId} running for user ${userUUID} (attempt ${job.attempts})`);
+
+    try {
+      const sessionIds = new Set(job.sessionIds || []);
+      for (let pass = 1; ; pass++) {
+        for (const sessionId of await discoverSessionIds(this.storage, userUUID)) {
+          sessionIds.add(sessionId);
+        }
+        await this.updateJob(job, { sessionIds: [...sessionIds] });
+        await this.deleteUserData(job, userUUID, sessionIds);
+
+        if (await this.isErased(userUUID)) {
+          break;
+        }
+        if (pass === MAX_DELETION_PASSES) {
+          throw new Error(`User data still present after ${pass} deletion passes`);
+        }
+        console.warn(`⚠️ Deletion job ${jobId} found data left after pass ${pass}, running again`);
+      }
+
+      await this.updateJob(job, { status: 'completed', completedAt: new Date().toISOString() });
+      await this.storage.setDoc(['deletionAudit', jobId], {
+        jobId,
+        userUUID,
+        requestedBy: job.requestedBy,
+        counts: job.counts,
+        totalDeleted: job.totalDeleted,
+        sessionsDeleted: sessionIds.size,
+        requestedAt: job.createdAt,
+        completedAt: job.completedAt
+      });
+
+      console.log(`✅ Deletion job ${jobId} completed: ${job.totalDeleted} documents deleted`);
+      return job;
+    } catch (error) {
+      console.error(`❌ Deletion job ${jobId} failed:`, error);
+      await this.updateJob(job, { status: 'failed', error: error.message });
+      return job;
+    }
+  }
+}
+
+export default DeletionService;
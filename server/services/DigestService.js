@@ -0,0 +1,66 @@
+import { createSummarizer } from './summarization/index.js';
+
+// Rolling conversation digests, updated incrementally as messages are stored.
+// Each user has one overall digest (users/{uid}/digests/_user) and one per session
+// (users/{uid}/digests/{sessionId}).
+export const USER_DIGEST_ID = '_user';
+
+class DigestService {
+  constructor(storage, summarizer = null) {
+    this.storage = storage;
+    this.summarizer = summarizer || createSummarizer();
+  }
+
+  digestPath(userUUID, digestId) {
+    return ['users', userUUID, 'digests', digestId];
+  }
+
+  async getDigest(userUUID, sessionId = null) {
+    return this.storage.getDoc(this.digestPath(userUUID, sessionId || USER_DIGEST_ID));
+  }
+
+  async recordMessages(userUUID, messages, sessionId = null) {
+    const digestIds = sessionId ? [USER_DIGEST_ID, sessionId] : [USER_DIGEST_ID];
+
+    for (const digestId of digestIds) {
+      const previous = await this.storage.getDoc(this.digestPath(userUUID, digestId));
+      await this.writeDigest(userUUID, digestId, previous, messages);
+    }
+  }
+
+  // Rebuilds every digest from the messages still stored, e.g. after the retention sweeper
+  // removed some, so topics and threads from removed messages do not live on. Digests left
+  // without any message are deleted.
+  async rebuildDigests(userUUID) {
+    const messages = await this.storage.queryDocs(['users', userUUID, 'conversations'], {
+      orderBy: { field: 'timestamp', direction: 'asc' }
+    });
+    const bySession = new Map(messages.length > 0 ? [[USER_DIGEST_ID, messages]] : []);
+    messages.filter(message => message.sessionId).forEach(message => {
+      if (!bySession.has(message.sessionId)) bySession.set(message.sessionId, []);
+      bySession.get(message.sessionId).push(message);
+    });
+
+    for (const [digestId, sessionMessages] of bySession) {
+      await this.writeDigest(userUUID, digestId, null, sessionMessages);
+    }
+    const stale = (await this.storage.queryDocs(['users', userUUID, 'digests']))
+      .filter(digest => !bySession.has(digest.id));
+    await this.storage.deleteDocs(stale.map(digest => this.digestPath(userUUID, digest.id)));
+
+    console.log(`✅ Rebuilt ${bySession.size} digests for user ${userUUID} from ${messages.length} messages`);
+    return { digests: bySession.size, deleted: stale.length, messages: messages.length };
+  }
+
+  async writeDigest(userUUID, digestId, previous, messages) {
+    const digest = await this.summarizer.update(previous, messages);
+    await this.storage.setDoc(this.digestPath(userUUID, digestId), {
+      ...digest,
+      sessionId: digestId === USER_DIGEST_ID ? null : digestId,
+      summarizer: this.summarizer.name,
+      updatedAt: new Date().toISOString()
+    });
+  }
+}
+
+export default DigestService;
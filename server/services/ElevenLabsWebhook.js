@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+
+// ElevenLabs webhook verification and event handling.
+//
+// ElevenLabs signs each delivery with an `ElevenLabs-Signature: t=<unix>,v0=<hex>` header,
+// where v0 is HMAC-SHA256(secret, `${t}.${rawBody}`). Deliveries older than the tolerance
+// window are rejected so a captured request cannot be replayed later.
+
+export const SIGNATURE_HEADER = 'elevenlabs-signature';
+const DEFAULT_TOLERANCE_SECONDS = 30 * 60;
+
+function parseSignatureHeader(header) {
+  const parts = {};
+  for (const part of header.split(',')) {
+    const [key, ...rest] = part.trim().split('=');
+    parts[key] = rest.join('=');
+  }
+  return parts;
+}
+
+// Returns { valid: true } or { valid: false, reason }
+export function verifyWebhookSignature(rawBody, header, secret, {
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) {
+  if (!header) {
+    return { valid: false, reason: 'Missing signature header' };
+  }
+  if (!rawBody) {
+    return { valid: false, reason: 'Missing request body' };
+  }
+
+  const { t, v0 } = parseSignatureHeader(header);
+  const timestamp = parseInt(t);
+  if (!Number.isFinite(timestamp) || !v0) {
+    return { valid: false, reason: 'Malformed signature header' };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const providedBuffer = Buffer.from(v0, 'hex');
+  if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+// A payload we cannot process; the route answers 400 instead of acknowledging it
+export class WebhookPayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookPayloadError';
+  }
+}
+
+// ElevenLabs retries deliveries, so every stored record is keyed on the conversation
+// and its position in it; a redelivery then maps onto the documents already written.
+export function webhookIdempotencyKey(conversationId, part) {
+  return `elevenlabs:${conversationId}:${part}`;
+}
+
+// Our frontend passes the Firebase uid to the agent as a dynamic variable
+function resolveUserId(data) {
+  return data.user_id
+    || data.conversation_initiation_client_data?.dynamic_variables?.user_id
+    || null;
+}
+
+// Map a post-call transcript into conversation messages, oldest first
+export function transcriptToMessages(data) {
+  const startSeconds = data.metadata?.start_time_unix_secs;
+  const baseTime = startSeconds ? startSeconds * 1000 : Date.now();
+
+  return (data.transcript || [])
+    .map((turn, index) => ({ turn, index }))
+    .filter(({ turn }) => turn.message)
+    .map(({ turn, index }) => ({
+      type: turn.role === 'agent' ? 'assistant' : 'user',
+      content: turn.message,
+      agent_id: data.agent_id,
+      conversation_id: data.conversation_id,
+      timestamp: new Date(baseTime + (turn.time_in_call_secs || 0) * 1000).toISOString(),
+      metadata: {
+        source: 'elevenlabs_webhook',
+        event: 'post_call_transcription',
+        turn_index: index
+      }
+    }));
+}
+
+async function handleTranscription(memoryService, data) {
+  const userId = resolveUserId(data);
+  if (!userId) {
+    return { handled: false, reason: 'No user_id in conversation data' };
+  }
+  // Every idempotency key and the session mapping hang off the conversation id
+  if (typeof data.conversation_id !== 'string' || data.conversation_id.length === 0) {
+    throw new WebhookPayloadError('post_call_transcription requires data.conversation_id');
+  }
+
+  // The call becomes (or joins) a memory session; its start time comes from the call metadata
+  const startSeconds = data.metadata?.start_time_unix_secs;
+  const startedAt = startSeconds ? new Date(startSeconds * 1000).toISOString() : undefined;
+  const { sessionId, created } = await memoryService.resolveConversationSession(userId, data.conversation_id, {
+    agentId: data.agent_id || null,
+    startedAt
+  });
+
+  const messages = transcriptToMessages(data);
+  const result = await memoryService.storeConversations(userId, messages, {
+    sessionId,
+    idempotencyKeys: messages.map(message => webhookIdempotencyKey(data.conversation_id, `turn:${message.metadata.turn_index}`))
+  });
+  if (!result.success) {
+    throw new Error(`Storing transcript failed: ${result.error}`);
+  }
+  const { stored, duplicates } = result;
+
+  // The post-call analysis is kept as a context entry so it shows up in search and context
+  const summary = data.analysis?.transcript_summary;
+  if (summary) {
+    await memoryService.storeUserContext(userId, {
+      contextType: 'call_analysis',
+      content: summary,
+      sessionId,
+      metadata: {
+        source: 'elevenlabs_webhook',
+        conversation_id: data.conversation_id,
+        call_successful: data.analysis.call_successful ?? null,
+        call_duration_secs: data.metadata?.call_duration_secs ?? null
+      }
+    }, { idempotencyKey: webhookIdempotencyKey(data.conversation_id, 'analysis') });
+  }
+
+  // Post-call events arrive after the call is over, so a session opened just for this call ends with it
+  if (created) {
+    const duration = data.metadata?.call_duration_secs;
+    const endedAt = startedAt && duration
+      ? new Date(Date.parse(startedAt) + duration * 1000).toISOString()
+      : undefined;
+    await memoryService.endSession(userId, sessionId, 'conversation_ended', { endedAt });
+  }
+
+  console.log(`✅ Stored ${stored}/${messages.length} transcript turns for conversation ${data.conversation_id}`
+    + (duplicates ? ` (${duplicates} already stored)` : ''));
+  return { handled: true, userId, sessionId, messagesStored: stored, duplicates };
+}
+
+// Original flat payload: { user_id, message, message_type, agent_id, conversation_id, timestamp }
+async function handleLegacyMessage(memoryService, body) {
+  const { agent_id, conversation_id, user_id, message, message_type, timestamp } = body;
+  if (!user_id || !message) {
+    return { handled: false, reason: 'Missing user_id or message' };
+  }
+
+  // Without a conversation id and timestamp there is nothing stable to deduplicate on
+  const idempotencyKey = conversation_id && timestamp
+    ? webhookIdempotencyKey(conversation_id, `message:${timestamp}:${message_type}`)
+    : null;
+
+  const result = await memoryService.storeConversation(user_id, {
+    type: message_type === 'user_message' ? 'user' : 'assistant',
+    content: message,
+    agent_id,
+    conversation_id,
+    timestamp: timestamp || new Date().toISOString(),
+    metadata: {
+      source: 'elevenlabs_webhook'
+    }
+  }, { idempotencyKey });
+
+  return {
+    handled: result.success,
+    userId: user_id,
+    messagesStored: result.success && !result.duplicate ? 1 : 0,
+    duplicates: result.duplicate ? 1 : 0
+  };
+}
+
+// Dispatch a verified webhook payload. Returns a summary of what was done.
+export async function handleWebhookEvent(memoryService, body) {
+  const { type, data } = body;
+
+  switch (type) {
+    case 'post_call_transcription':
+      return { type, ...(await handleTranscription(memoryService, data || {})) };
+
+    case 'post_call_audio':
+      // Raw call audio is not retained; transcripts carry everything memory needs
+      console.log(`ℹ️ Ignoring audio for conversation ${data?.conversation_id}`);
+      return { type, handled: true, audioStored: false };
+
+    case 'call_initiation_failure':
+      console.warn(`⚠️ Call initiation failed for agent ${data?.agent_id}:`, data?.failure_reason);
+      return { type, handled: true };
+
+    case undefined:
+      return { type: 'legacy_message', ...(await handleLegacyMessage(memoryService, body)) };
+
+    default:
+      console.log(`ℹ️ Unhandled ElevenLabs webhook type: ${type}`);
+      return { type, handled: false, reason: 'Unsupported event type' };
+  }
+}
+
+export default {
+  SIGNATURE_HEADER,
+  WebhookPayloadError,
+  verifyWebhookSignature,
+  transcriptToMessages,
+  handleWebhookEvent
+};
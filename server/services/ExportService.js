@@ -0,0 +1,130 @@
+import JSZip from 'jszip';
+import {
+  USER_RECORD_COLLECTIONS,
+  SESSIONS_COLLECTION,
+  SESSION_RECORD_TYPES,
+  EXPORT_FORMAT,
+  EXPORT_VERSION
+} from '../models/userData.js';
+import { querySessionRecords } from './DeletionService.js';
+
+// Builds complete data exports for a user (GDPR access / portability requests).
+//
+// Archive format (also accepted by the import endpoint):
+// {
+//   format, version, exportedAt, userUUID,
+//   profile,                                   // users/{uid} document or null
+//   conversations, stages, context,            // [{ id, ...record }]
+//   digests, conversationSessions, archive,    // [{ id, ...record }]
+//   themeIndex,                                // [{ id, ...entry }], rebuilt rather than imported
+//   sessions: [{ id, ...metadata, stages, context, breakthroughs, themes }]
+// }
+// Session records are found the way deletion finds them, so legacy sessions that only exist
+// as records (without a session document) are exported too, with no metadata.
+const EXPORTED_INTERNAL_COLLECTIONS = ['digests', 'conversationSessions', 'archive', 'themeIndex'];
+
+class ExportService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async exportUser(userUUID) {
+    const userPath = ['users', userUUID];
+    const archive = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      userUUID,
+      profile: await this.storage.getDoc(userPath)
+    };
+
+    for (const collectionName of [...USER_RECORD_COLLECTIONS, ...EXPORTED_INTERNAL_COLLECTIONS]) {
+      archive[collectionName] = await this.storage.queryDocs([...userPath, collectionName]);
+    }
+
+    const sessions = new Map();
+    const sessionEntry = (sessionId, metadata = { id: sessionId }) => {
+      if (!sessions.has(sessionId)) {
+        sessions.set(sessionId, { ...metadata, ...Object.fromEntries(SESSION_RECORD_TYPES.map(type => [type, []])) });
+      }
+      return sessions.get(sessionId);
+    };
+    for (const session of await this.storage.queryDocs([...userPath, SESSIONS_COLLECTION])) {
+      sessionEntry(session.id, session);
+    }
+    for (const type of SESSION_RECORD_TYPES) {
+      for (const { sessionId, record } of await querySessionRecords(this.storage, userUUID, type)) {
+        sessionEntry(sessionId)[type].push(record);
+      }
+    }
+    archive.sessions = [...sessions.values()];
+
+    // Oldest first reads naturally in an archive
+    const byTimestamp = (a, b) => String(a.timestamp || a.startedAt || '').localeCompare(String(b.timestamp || b.startedAt || ''));
+    USER_RECORD_COLLECTIONS.forEach(collectionName => archive[collectionName].sort(byTimestamp));
+    archive.sessions.forEach(session => SESSION_RECORD_TYPES.forEach(type => session[type].sort(byTimestamp)));
+    archive.sessions.sort(byTimestamp);
+
+    return archive;
+  }
+
+  // Human-readable transcript of the archive, grouped by session
+  buildMarkdownTranscript(archive) {
+    const name = archive.profile?.symbolicName || archive.profile?.name || archive.userUUID;
+    const lines = [
+      `# Memory export for ${name}`,
+      '',
+      `Exported ${archive.exportedAt}. ${archive.conversations.length} messages, ${archive.sessions.length} sessions.`,
+      ''
+    ];
+
+    const speaker = message => (message.type === 'user' ? name : message.type === 'assistant' ? 'VASA' : 'System');
+    const writeMessages = messages => messages.forEach(message => {
+      const stage = message.stage ? ` [${message.stage}]` : '';
+      lines.push(`**${speaker(message)}** (${message.timestamp})${stage}: ${message.content || ''}`, '');
+    });
+
+    for (const session of archive.sessions) {
+      lines.push(`## Session ${session.id}`, '');
+      lines.push(`Started ${session.startedAt || 'unknown'}${session.endedAt ? `, ended ${session.endedAt}` : ''}.`, '');
+
+      if (session.stages.length > 0) {
+        lines.push(`CSS stages: ${session.stages.map(stage => stage.stage).join(' → ')}`, '');
+      }
+      if (session.breakthroughs.length > 0) {
+        lines.push('### Breakthroughs', '');
+        session.breakthroughs.forEach(breakthrough => lines.push(`- ${breakthrough.description}`));
+        lines.push('');
+      }
+      if (session.themes.length > 0) {
+        lines.push('### Themes', '');
+        session.themes.forEach(theme => lines.push(`- ${theme.theme || theme.name}${theme.description ? `: ${theme.description}` : ''}`));
+        lines.push('');
+      }
+
+      const transcript = archive.conversations.filter(message => message.sessionId === session.id);
+      if (transcript.length > 0) {
+        lines.push('### Transcript', '');
+        writeMessages(transcript);
+      }
+    }
+
+    const sessionIds = new Set(archive.sessions.map(session => session.id));
+    const unassigned = archive.conversations.filter(message => !sessionIds.has(message.sessionId));
+    if (unassigned.length > 0) {
+      lines.push('## Messages outside a session', '');
+      writeMessages(unassigned);
+    }
+
+    return lines.join('\n');
+  }
+
+  async buildZip(archive) {
+    const zip = new JSZip();
+    zip.file('export.json', JSON.stringify(archive, null, 2));
+    zip.file('transcript.md', this.buildMarkdownTranscript(archive));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+}
+
+export default ExportService;
@@ -1,101 +1,331 @@
-import { initializeApp, getApps } from 'firebase/app';
-import { getFirestore, collection, doc, setDoc, getDoc, getDocs, query, orderBy, limit, where, deleteDoc, writeBatch } from 'firebase/firestore';
-import firebaseConfig from '../firebase-config.js';
+import crypto from 'crypto';
+import { createStorageAdapter } from './storage/index.js';
+import SessionService from './SessionService.js';
+import SearchService from './SearchService.js';
+import DigestService from './DigestService.js';
+import ExportService from './ExportService.js';
+import DeletionService from './DeletionService.js';
+import ImportService from './ImportService.js';
+import RetentionService, { loadRetentionConfig } from './RetentionService.js';
+import ApiKeyService from './ApiKeyService.js';
+import StageService from './StageService.js';
+import ThemeService from './ThemeService.js';
+import KeyedQueue from './KeyedQueue.js';
+import ConversationWindowService, { ConversationWindowError } from './ConversationWindowService.js';
+import { queryTimelinePage } from './pagination.js';
+import { createSessionData, SESSION_RECORD_TYPES } from '../models/SessionData.js';
+import { transitionType, isAllowedTransition, allowedTransitions, isValidStage } from '../models/stages.js';
+
+// Store timestamps as full ISO strings so range filters and cursors compare correctly
+function normalizeTimestamp(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? new Date().toISOString() : new Date(time).toISOString();
+}
+
+// Deterministic document id for an idempotency key, so retried writes land on the same document
+export function idempotentDocId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 32);
+}
 
+// Hash of a request payload, independent of key order, stored with an idempotency key so a
+// reused key can be told apart from a retry
+export function payloadHash(payload) {
+  const canonical = value => Array.isArray(value)
+    ? value.map(canonical)
+    : value && typeof value === 'object'
+      ? Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]))
+      : value;
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(payload))).digest('hex');
+}
+
+// Memory records for a user live under users/{uid}: the profile document itself plus
+// conversations, stages, context and sessions/{sessionId}/{stages,context,breakthroughs,themes}.
+// The storage adapter decides where those documents physically live (Firestore by default).
 class FirebaseMemoryService {
-  constructor() {
-    try {
-      // Initialize Firebase only if not already initialized
-      if (getApps().length === 0) {
-        this.app = initializeApp(firebaseConfig);
-        console.log('✅ Firebase app initialized');
-      } else {
-        this.app = getApps()[0];
-        console.log('✅ Using existing Firebase app');
+  constructor(storage = null) {
+    this.storage = storage || createStorageAdapter();
+    // Set when the service runs on a fallback backend; /api/health then reports it
+    this.degradedReason = null;
+    this.sessions = new SessionService(this.storage);
+    this.search = new SearchService(this.storage);
+    this.digests = new DigestService(this.storage);
+    this.exporter = new ExportService(this.storage);
+    this.deletions = new DeletionService(this.storage);
+    this.importer = new ImportService(this.storage);
+    this.retention = new RetentionService(this.storage, loadRetentionConfig(), this.sessions);
+    this.apiKeys = new ApiKeyService(this.storage);
+    this.stages = new StageService(this.storage);
+    // Each transition is validated against the one before it, so a user's transitions run one at a time
+    this.stageTransitions = new KeyedQueue();
+    this.windows = new ConversationWindowService(this.storage);
+    this.themes = new ThemeService(this.storage);
+    // Expired theme records and messages must not live on in the theme index or the digests
+    this.retention.onUserSwept(async (userUUID, removed) => {
+      if (removed.conversations) {
+        await this.digests.rebuildDigests(userUUID);
       }
-
-      this.db = getFirestore(this.app);
-      console.log('✅ Firestore database connected');
-    } catch (error) {
-      console.error('❌ Firebase initialization error:', error);
-      throw error;
-    }
+      if (removed.themes || removed.conversations || removed.breakthroughs) {
+        await this.themes.rebuildIndex(userUUID);
+      }
+    });
+    console.log(`✅ Memory service using ${this.storage.name} storage`);
   }
 
   async healthCheck() {
-    try {
-      // Test Firestore connection by reading a test document
-      const testDoc = doc(this.db, 'health', 'test');
-      await getDoc(testDoc);
-      return { status: 'healthy', service: 'firebase' };
-    } catch (error) {
-      console.error('Firebase health check failed:', error);
-      return { status: 'unhealthy', service: 'firebase', error: error.message };
+    return this.storage.healthCheck();
+  }
+
+  // Adds a record with a generated id, or with a deterministic id when an idempotency key
+  // is given. Returns { id, created, conflict }; created is false when the key was already
+  // used. With the request payload, conflict is true when the key was used for a different one.
+  async addRecord(collectionPath, data, idempotencyKey = null, payload = null) {
+    // collectionPath is always users/{uid}/...
+    await this.retention.trackUser(collectionPath[1]);
+
+    if (!idempotencyKey) {
+      return { id: await this.storage.addDoc(collectionPath, data), created: true, conflict: false };
+    }
+
+    const id = idempotentDocId(idempotencyKey);
+    const hash = payload ? payloadHash(payload) : null;
+    const created = await this.storage.createDoc([...collectionPath, id], {
+      ...data,
+      idempotencyKey,
+      ...(hash ? { payloadHash: hash } : {})
+    });
+    if (created || !hash) {
+      return { id, created, conflict: false };
     }
+
+    // Records stored before payloads were hashed cannot be compared and count as retries
+    const existing = await this.storage.getDoc([...collectionPath, id]);
+    return { id, created, conflict: Boolean(existing?.payloadHash) && existing.payloadHash !== hash };
   }
 
-  async storeConversation(userUUID, conversationData) {
+  // options.idempotencyKey makes retries of the same message a no-op. Reusing the key for a
+  // different message returns { success: false, conflict: true }.
+  async storeConversation(userUUID, conversationData, options = {}) {
+    const payload = conversationData;
     try {
-      const conversationRef = doc(collection(this.db, 'users', userUUID, 'conversations'));
-      await setDoc(conversationRef, {
+      // ElevenLabs messages without an explicit session join their conversation's session
+      if (!conversationData.sessionId && conversationData.conversation_id) {
+        const { sessionId } = await this.sessions.resolveConversationSession(
+          userUUID, conversationData.conversation_id, { agentId: conversationData.agent_id || null }
+        );
+        conversationData = { ...conversationData, sessionId };
+      }
+
+      const message = {
         ...conversationData,
-        timestamp: conversationData.timestamp || new Date().toISOString(),
+        timestamp: normalizeTimestamp(conversationData.timestamp),
         createdAt: new Date().toISOString()
-      });
+      };
+      const { id, created, conflict } = await this.addRecord(
+        ['users', userUUID, 'conversations'], message, options.idempotencyKey, payload
+      );
+
+      if (conflict) {
+        console.log(`❌ Idempotency key reused with a different message (${id})`);
+        return { success: false, conflict: true, error: 'Idempotency-Key was already used for a different message' };
+      }
+      if (!created) {
+        console.log(`ℹ️ Duplicate conversation message ignored (${id})`);
+        return { success: true, id, duplicate: true };
+      }
 
-      console.log('✅ Conversation stored in Firebase');
-      return { success: true, id: conversationRef.id };
+      if (conversationData.sessionId) {
+        await this.sessions.touchSession(userUUID, conversationData.sessionId, { messages: 1 });
+      }
+
+      // A digest failure must never lose the message itself
+      try {
+        await this.digests.recordMessages(userUUID, [message], conversationData.sessionId);
+      } catch (error) {
+        console.error('❌ Error updating conversation digest:', error);
+      }
+      await this.updateThemeIndex(() => this.themes.recordMessage(userUUID, { ...message, id }));
+
+      console.log('✅ Conversation stored');
+      return { success: true, id };
     } catch (error) {
       console.error('❌ Error storing conversation:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async getConversationHistory(userUUID, limitCount = 50) {
+  // Stores the messages of one session at once, e.g. a call transcript. idempotencyKeys[i]
+  // belongs to messages[i]. The session, digests and theme index are updated once for all
+  // newly stored messages rather than once per message.
+  async storeConversations(userUUID, messages, { sessionId = null, idempotencyKeys = [] } = {}) {
     try {
-      const conversationsRef = collection(this.db, 'users', userUUID, 'conversations');
-      const q = query(conversationsRef, orderBy('timestamp', 'desc'), limit(limitCount));
-      const querySnapshot = await getDocs(q);
+      const stored = [];
+      let duplicates = 0;
+      for (const [index, conversationData] of messages.entries()) {
+        const message = {
+          ...conversationData,
+          ...(sessionId ? { sessionId } : {}),
+          timestamp: normalizeTimestamp(conversationData.timestamp),
+          createdAt: new Date().toISOString()
+        };
+        const { id, created } = await this.addRecord(
+          ['users', userUUID, 'conversations'], message, idempotencyKeys[index] || null
+        );
+        if (created) stored.push({ ...message, id });
+        else duplicates++;
+      }
 
-      const conversations = [];
-      querySnapshot.forEach((doc) => {
-        conversations.push({ id: doc.id, ...doc.data() });
-      });
+      if (stored.length > 0) {
+        if (sessionId) {
+          await this.sessions.touchSession(userUUID, sessionId, { messages: stored.length });
+        }
+        try {
+          await this.digests.recordMessages(userUUID, stored, sessionId);
+        } catch (error) {
+          console.error('❌ Error updating conversation digest:', error);
+        }
+        await this.updateThemeIndex(() => this.themes.recordMessages(userUUID, stored));
+      }
+
+      console.log(`✅ Stored ${stored.length} conversation messages` + (duplicates ? ` (${duplicates} duplicates ignored)` : ''));
+      return { success: true, ids: stored.map(message => message.id), stored: stored.length, duplicates };
+    } catch (error) {
+      console.error('❌ Error storing conversations:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getConversationHistory(userUUID, limitCount = 50) {
+    const { items } = await this.getConversationPage(userUUID, { limit: limitCount });
+    return items;
+  }
+
+  // Page through conversations newest first; see pagination.js for the options
+  async getConversationPage(userUUID, options = {}) {
+    try {
+      const page = await queryTimelinePage(this.storage, ['users', userUUID, 'conversations'], options);
 
-      console.log(`✅ Retrieved ${conversations.length} conversations for user ${userUUID}`);
-      return conversations;
+      console.log(`✅ Retrieved ${page.items.length} conversations for user ${userUUID}`);
+      return page;
     } catch (error) {
       console.error('❌ Error getting conversation history:', error);
-      return [];
+      return { items: [], nextCursor: null };
     }
   }
 
-  async storeStageProgression(userUUID, stageData) {
+  // Conversation turns oldest first for one of CONVERSATION_WINDOW_MODES; see
+  // ConversationWindowService.js. Invalid window options throw a ConversationWindowError.
+  async getConversationWindow(userUUID, options = {}) {
     try {
-      const stageRef = doc(collection(this.db, 'users', userUUID, 'stages'));
-      await setDoc(stageRef, {
-        ...stageData,
-        timestamp: stageData.timestamp || new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      });
+      const window = await this.windows.getWindow(userUUID, options);
+      console.log(`✅ Retrieved ${window.turns.length} conversation turns (${window.mode}) for user ${userUUID}`);
+      return window;
+    } catch (error) {
+      if (error instanceof ConversationWindowError) {
+        throw error;
+      }
+      console.error('❌ Error getting conversation window:', error);
+      return { mode: options.mode || 'latest', turns: [] };
+    }
+  }
+
+  // Records a stage progression after checking it is an allowed move from the user's current
+  // stage, as the progression records show it. The record goes into the stage history and, with
+  // a session, into that session too; the profile's currentStage follows. Disallowed moves and
+  // progressions dated before the latest one return { success: false, transition }.
+  async recordStageTransition(userUUID, stageData, sessionId = null) {
+    return this.stageTransitions.run(userUUID, () => this.applyStageTransition(userUUID, stageData, sessionId));
+  }
+
+  async applyStageTransition(userUUID, stageData, sessionId) {
+    const latest = await this.stages.getLatestProgression(userUUID);
+    const from = isValidStage(latest?.stage) ? latest.stage : await this.stages.getProfileStage(userUUID);
+    const to = stageData.stage;
+    const timestamp = normalizeTimestamp(stageData.timestamp);
+
+    // A backdated progression would not be the latest one, so it cannot become the current stage
+    if (latest && Date.parse(timestamp) < Date.parse(latest.timestamp)) {
+      console.log(`❌ Rejected stage progression dated before the latest one for user ${userUUID}`);
+      return {
+        success: false,
+        error: `Stage progression timestamp ${timestamp} is earlier than the latest progression (${latest.timestamp})`,
+        transition: { from, to, type: transitionType(from, to), allowed: allowedTransitions(from), latestTimestamp: latest.timestamp }
+      };
+    }
+
+    if (!isAllowedTransition(from, to)) {
+      console.log(`❌ Rejected stage transition ${from} → ${to} for user ${userUUID}`);
+      return {
+        success: false,
+        error: `Stage transition ${from} → ${to} is not allowed`,
+        transition: { from, to, type: transitionType(from, to), allowed: allowedTransitions(from) }
+      };
+    }
+
+    const record = {
+      ...stageData,
+      ...(sessionId ? { sessionId } : {}),
+      previousStage: from,
+      transition: transitionType(from, to),
+      timestamp
+    };
+
+    const { id } = await this.addRecord(['users', userUUID, 'stages'], {
+      ...record,
+      createdAt: new Date().toISOString()
+    });
+    if (sessionId) {
+      await this.storeSessionRecord(userUUID, sessionId, 'stages', record);
+    }
+    await this.stages.setCurrentStage(userUUID, to, from, record.timestamp);
+
+    console.log(`✅ Stage progression stored (${from} → ${to}, ${record.transition})`);
+    return { success: true, id, transition: { from, to, type: record.transition } };
+  }
 
-      console.log('✅ Stage progression stored in Firebase');
-      return { success: true, id: stageRef.id };
+  async storeStageProgression(userUUID, stageData) {
+    try {
+      return await this.recordStageTransition(userUUID, stageData, stageData.sessionId || null);
     } catch (error) {
       console.error('❌ Error storing stage progression:', error);
       return { success: false, error: error.message };
     }
   }
 
+  async getStageAnalytics(userUUID) {
+    return this.stages.getAnalytics(userUUID);
+  }
+
+  // Current stage derived from the progression records, reconciling the profile
+  async getStageState(userUUID, options = {}) {
+    return this.stages.getStageState(userUUID, options);
+  }
+
+  // The theme index is derived from the records; failing to update it must never fail the write
+  async updateThemeIndex(update) {
+    try {
+      await update();
+    } catch (error) {
+      console.error('❌ Error updating theme index:', error);
+    }
+  }
+
+  // Indexed themes, most recurring first; see ThemeService.js
+  async getThemes(userUUID, options = {}) {
+    return this.themes.getThemes(userUUID, options);
+  }
+
+  async rebuildThemeIndex(userUUID) {
+    return this.themes.rebuildIndex(userUUID);
+  }
+
   async storeUserProfile(userUUID, profileData) {
     try {
-      const profileRef = doc(this.db, 'users', userUUID);
-      await setDoc(profileRef, {
+      await this.storage.setDoc(['users', userUUID], {
         ...profileData,
         lastUpdated: new Date().toISOString()
       }, { merge: true });
 
-      console.log('✅ User profile stored in Firebase');
+      console.log('✅ User profile stored');
       return { success: true };
     } catch (error) {
       console.error('❌ Error storing user profile:', error);
@@ -105,12 +335,11 @@ class FirebaseMemoryService {
 
   async getUserProfile(userUUID) {
     try {
-      const profileRef = doc(this.db, 'users', userUUID);
-      const profileSnap = await getDoc(profileRef);
+      const profile = await this.storage.getDoc(['users', userUUID]);
 
-      if (profileSnap.exists()) {
-        console.log('✅ User profile retrieved from Firebase');
-        return profileSnap.data();
+      if (profile) {
+        console.log('✅ User profile retrieved');
+        return profile;
       } else {
         console.log('ℹ️ No user profile found');
         return null;
@@ -121,48 +350,95 @@ class FirebaseMemoryService {
     }
   }
 
-  async clearUserData(userUUID) {
+  // Deletes everything stored for the user. Returns { success, jobId, counts, totalDeleted }.
+  // With { wait: false } the deletion continues in the background and only the job is returned.
+  async clearUserData(userUUID, { requestedBy = null, wait = true } = {}) {
     try {
-      const batch = writeBatch(this.db);
-
-      // Delete user profile
-      const userRef = doc(this.db, 'users', userUUID);
-      batch.delete(userRef);
-
-      // Delete conversations
-      const conversationsRef = collection(this.db, 'users', userUUID, 'conversations');
-      const conversationsSnapshot = await getDocs(conversationsRef);
-      conversationsSnapshot.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
+      const job = await this.deletions.createJob(userUUID, requestedBy);
 
-      // Delete stages
-      const stagesRef = collection(this.db, 'users', userUUID, 'stages');
-      const stagesSnapshot = await getDocs(stagesRef);
-      stagesSnapshot.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
+      if (!wait) {
+        this.deletions.runJob(job.jobId)
+          .then(() => this.retention.forgetUser(userUUID))
+          .catch(error => console.error('❌ Background deletion failed:', error));
+        return { success: true, jobId: job.jobId, status: 'running' };
+      }
 
-      await batch.commit();
-      console.log('✅ User data cleared from Firebase');
-      return { success: true };
+      const result = await this.deletions.runJob(job.jobId);
+      this.retention.forgetUser(userUUID);
+      return this.formatDeletionJob(result);
     } catch (error) {
       console.error('❌ Error clearing user data:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async storeUserContext(userUUID, contextData) {
+  async resumeDeletion(jobId) {
+    try {
+      const result = await this.deletions.runJob(jobId);
+      this.retention.forgetUser(result.userUUID);
+      return this.formatDeletionJob(result);
+    } catch (error) {
+      console.error('❌ Error resuming deletion:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDeletionJob(jobId) {
+    try {
+      return await this.deletions.getJob(jobId);
+    } catch (error) {
+      console.error('❌ Error getting deletion job:', error);
+      return null;
+    }
+  }
+
+  formatDeletionJob(job) {
+    return {
+      success: job.status === 'completed',
+      jobId: job.jobId,
+      status: job.status,
+      counts: job.counts,
+      totalDeleted: job.totalDeleted,
+      ...(job.error ? { error: job.error } : {})
+    };
+  }
+
+  // Complete archive of everything stored for the user (see ExportService for the format)
+  async exportUserData(userUUID) {
+    const archive = await this.exporter.exportUser(userUUID);
+    console.log(`✅ Exported ${archive.conversations.length} conversations and ${archive.sessions.length} sessions for user ${userUUID}`);
+    return archive;
+  }
+
+  async buildExportZip(archive) {
+    return this.exporter.buildZip(archive);
+  }
+
+  // Restores an export archive. Throws ImportError for invalid archives or options.
+  async importUserData(userUUID, archive, options = {}) {
+    const report = await this.importer.importUser(userUUID, archive, options);
+    if (!report.dryRun) {
+      await this.retention.trackUser(userUUID);
+      await this.updateThemeIndex(() => this.themes.rebuildIndex(userUUID));
+    }
+    return report;
+  }
+
+  async storeUserContext(userUUID, contextData, options = {}) {
     try {
-      const contextRef = doc(collection(this.db, 'users', userUUID, 'context'));
-      await setDoc(contextRef, {
+      const { id, created } = await this.addRecord(['users', userUUID, 'context'], {
         ...contextData,
-        timestamp: contextData.timestamp || new Date().toISOString(),
+        timestamp: normalizeTimestamp(contextData.timestamp),
         createdAt: new Date().toISOString()
-      });
+      }, options.idempotencyKey);
+
+      if (!created) {
+        console.log(`ℹ️ Duplicate user context ignored (${id})`);
+        return { success: true, id, duplicate: true };
+      }
 
-      console.log('✅ User context stored in Firebase');
-      return { success: true, id: contextRef.id };
+      console.log('✅ User context stored');
+      return { success: true, id };
     } catch (error) {
       console.error('❌ Error storing user context:', error);
       return { success: false, error: error.message };
@@ -170,52 +446,50 @@ class FirebaseMemoryService {
   }
 
   async getUserStageProgressions(userUUID, limitCount = 50) {
-    try {
-      const stagesRef = collection(this.db, 'users', userUUID, 'stages');
-      const q = query(stagesRef, orderBy('timestamp', 'desc'), limit(limitCount));
-      const querySnapshot = await getDocs(q);
-
-      const progressions = [];
-      querySnapshot.forEach((doc) => {
-        progressions.push({ id: doc.id, ...doc.data() });
-      });
+    const { items } = await this.getStageProgressionPage(userUUID, { limit: limitCount });
+    return items;
+  }
 
-      return progressions;
+  async getStageProgressionPage(userUUID, options = {}) {
+    try {
+      return await queryTimelinePage(this.storage, ['users', userUUID, 'stages'], options);
     } catch (error) {
       console.error('❌ Error getting stage progressions:', error);
-      return [];
+      return { items: [], nextCursor: null };
     }
   }
 
   async getUserContext(userUUID, limitCount = 20) {
-    try {
-      const contextRef = collection(this.db, 'users', userUUID, 'context');
-      const q = query(contextRef, orderBy('timestamp', 'desc'), limit(limitCount));
-      const querySnapshot = await getDocs(q);
-
-      const contexts = [];
-      querySnapshot.forEach((doc) => {
-        contexts.push({ id: doc.id, ...doc.data() });
-      });
+    const { items } = await this.getUserContextPage(userUUID, { limit: limitCount });
+    return items;
+  }
 
-      return contexts;
+  async getUserContextPage(userUUID, options = {}) {
+    try {
+      return await queryTimelinePage(this.storage, ['users', userUUID, 'context'], options);
     } catch (error) {
       console.error('❌ Error getting user context:', error);
-      return [];
+      return { items: [], nextCursor: null };
     }
   }
 
+  async storeSessionRecord(userUUID, sessionId, collectionName, recordData) {
+    await this.sessions.touchSession(userUUID, sessionId, {
+      stage: collectionName === 'stages' ? recordData.stage : undefined
+    });
+
+    const { id } = await this.addRecord(['users', userUUID, 'sessions', sessionId, collectionName], {
+      ...recordData,
+      sessionId,
+      timestamp: normalizeTimestamp(recordData.timestamp),
+      createdAt: new Date().toISOString()
+    });
+    return id;
+  }
+
   async storeSessionStageProgression(userUUID, sessionId, stageData) {
     try {
-      const sessionRef = doc(collection(this.db, 'users', userUUID, 'sessions', sessionId, 'stages'));
-      await setDoc(sessionRef, {
-        ...stageData,
-        sessionId,
-        timestamp: stageData.timestamp || new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      });
-
-      return { success: true, id: sessionRef.id };
+      return await this.recordStageTransition(userUUID, stageData, sessionId);
     } catch (error) {
       console.error('❌ Error storing session stage:', error);
       return { success: false, error: error.message };
@@ -224,15 +498,8 @@ class FirebaseMemoryService {
 
   async storeSessionUserContext(userUUID, sessionId, contextData) {
     try {
-      const sessionRef = doc(collection(this.db, 'users', userUUID, 'sessions', sessionId, 'context'));
-      await setDoc(sessionRef, {
-        ...contextData,
-        sessionId,
-        timestamp: contextData.timestamp || new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      });
-
-      return { success: true, id: sessionRef.id };
+      const id = await this.storeSessionRecord(userUUID, sessionId, 'context', contextData);
+      return { success: true, id };
     } catch (error) {
       console.error('❌ Error storing session context:', error);
       return { success: false, error: error.message };
@@ -241,15 +508,10 @@ class FirebaseMemoryService {
 
   async storeBreakthroughMoment(userUUID, sessionId, breakthroughData) {
     try {
-      const breakthroughRef = doc(collection(this.db, 'users', userUUID, 'sessions', sessionId, 'breakthroughs'));
-      await setDoc(breakthroughRef, {
-        ...breakthroughData,
-        sessionId,
-        timestamp: breakthroughData.timestamp || new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      });
-
-      return { success: true, id: breakthroughRef.id };
+      const record = { ...breakthroughData, timestamp: normalizeTimestamp(breakthroughData.timestamp) };
+      const id = await this.storeSessionRecord(userUUID, sessionId, 'breakthroughs', record);
+      await this.updateThemeIndex(() => this.themes.recordBreakthrough(userUUID, { ...record, id, sessionId }));
+      return { success: true, id };
     } catch (error) {
       console.error('❌ Error storing breakthrough moment:', error);
       return { success: false, error: error.message };
@@ -258,78 +520,162 @@ class FirebaseMemoryService {
 
   async storeTherapeuticTheme(userUUID, sessionId, themeData) {
     try {
-      const themeRef = doc(collection(this.db, 'users', userUUID, 'sessions', sessionId, 'themes'));
-      await setDoc(themeRef, {
-        ...themeData,
-        sessionId,
-        timestamp: themeData.timestamp || new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      });
-
-      return { success: true, id: themeRef.id };
+      const record = { ...themeData, timestamp: normalizeTimestamp(themeData.timestamp) };
+      const id = await this.storeSessionRecord(userUUID, sessionId, 'themes', record);
+      await this.updateThemeIndex(() => this.themes.recordTheme(userUUID, { ...record, id, sessionId }));
+      return { success: true, id };
     } catch (error) {
       console.error('❌ Error storing therapeutic theme:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // Returns a SessionData (see models/SessionData.js). dataType limits which record
+  // lists are loaded ('all' or one of SESSION_DATA_TYPES).
   async getSessionData(userUUID, sessionId, dataType = 'all') {
     try {
-      const sessionData = {};
-
-      if (dataType === 'all' || dataType === 'stages') {
-        const stagesRef = collection(this.db, 'users', userUUID, 'sessions', sessionId, 'stages');
-        const stagesSnapshot = await getDocs(stagesRef);
-        sessionData.stages = [];
-        stagesSnapshot.forEach((doc) => {
-          sessionData.stages.push({ id: doc.id, ...doc.data() });
-        });
+      const records = {
+        session: await this.sessions.getSession(userUUID, sessionId)
+      };
+
+      for (const collectionName of SESSION_RECORD_TYPES) {
+        if (dataType === 'all' || dataType === collectionName) {
+          records[collectionName] = await this.storage.queryDocs(
+            ['users', userUUID, 'sessions', sessionId, collectionName]
+          );
+        }
       }
 
-      if (dataType === 'all' || dataType === 'context') {
-        const contextRef = collection(this.db, 'users', userUUID, 'sessions', sessionId, 'context');
-        const contextSnapshot = await getDocs(contextRef);
-        sessionData.context = [];
-        contextSnapshot.forEach((doc) => {
-          sessionData.context.push({ id: doc.id, ...doc.data() });
+      if (dataType === 'all' || dataType === 'transcript') {
+        records.transcript = await this.storage.queryDocs(['users', userUUID, 'conversations'], {
+          where: [['sessionId', '==', sessionId]]
         });
       }
 
-      if (dataType === 'all' || dataType === 'breakthroughs') {
-        const breakthroughsRef = collection(this.db, 'users', userUUID, 'sessions', sessionId, 'breakthroughs');
-        const breakthroughsSnapshot = await getDocs(breakthroughsRef);
-        sessionData.breakthroughs = [];
-        breakthroughsSnapshot.forEach((doc) => {
-          sessionData.breakthroughs.push({ id: doc.id, ...doc.data() });
-        });
-      }
+      return createSessionData(sessionId, records);
+    } catch (error) {
+      console.error('❌ Error getting session data:', error);
+      return createSessionData(sessionId);
+    }
+  }
 
-      if (dataType === 'all' || dataType === 'themes') {
-        const themesRef = collection(this.db, 'users', userUUID, 'sessions', sessionId, 'themes');
-        const themesSnapshot = await getDocs(themesRef);
-        sessionData.themes = [];
-        themesSnapshot.forEach((doc) => {
-          sessionData.themes.push({ id: doc.id, ...doc.data() });
-        });
+  // Newest records of one session record type across the user's most recent sessions
+  async getRecentSessionRecords(userUUID, collectionName, limitCount = 10, sessionLimit = 20) {
+    try {
+      const sessions = await this.storage.queryDocs(['users', userUUID, 'sessions'], {
+        orderBy: { field: 'lastActivityAt', direction: 'desc' },
+        limit: sessionLimit
+      });
+
+      const records = [];
+      for (const session of sessions) {
+        records.push(...await this.storage.queryDocs(['users', userUUID, 'sessions', session.id, collectionName], {
+          orderBy: { field: 'timestamp', direction: 'desc' },
+          limit: limitCount
+        }));
       }
 
-      return sessionData;
+      return records
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+        .slice(0, limitCount);
     } catch (error) {
-      console.error('❌ Error getting session data:', error);
-      return {};
+      console.error(`❌ Error getting recent ${collectionName}:`, error);
+      return [];
     }
   }
 
+  // Resolves the user's active session, starting a new one if none is active
   async getCurrentSessionId(userUUID) {
+    const session = await this.sessions.resolveActiveSession(userUUID);
+    return session.sessionId;
+  }
+
+  async startSession(userUUID, options = {}) {
+    try {
+      // The sweeper only visits tracked users, and it closes their idle sessions
+      await this.retention.trackUser(userUUID);
+      const session = await this.sessions.startSession(userUUID, options);
+      return { success: true, session };
+    } catch (error) {
+      console.error('❌ Error starting session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async resumeSession(userUUID, sessionId) {
+    try {
+      const session = await this.sessions.resumeSession(userUUID, sessionId);
+      return session ? { success: true, session } : { success: false, error: 'Session not found' };
+    } catch (error) {
+      console.error('❌ Error resuming session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async endSession(userUUID, sessionId, reason = 'ended', { endedAt } = {}) {
+    try {
+      const session = await this.sessions.endSession(userUUID, sessionId, { reason, endedAt });
+      return session ? { success: true, session } : { success: false, error: 'Session not found' };
+    } catch (error) {
+      console.error('❌ Error ending session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Returns { sessionId, created } for an ElevenLabs conversation id
+  async resolveConversationSession(userUUID, conversationId, options = {}) {
+    return this.sessions.resolveConversationSession(userUUID, conversationId, options);
+  }
+
+  async getSession(userUUID, sessionId) {
+    try {
+      return await this.sessions.getSession(userUUID, sessionId);
+    } catch (error) {
+      console.error('❌ Error getting session:', error);
+      return null;
+    }
+  }
+
+  // Read-only: never starts or closes a session
+  async getActiveSession(userUUID) {
+    try {
+      return await this.sessions.peekActiveSession(userUUID);
+    } catch (error) {
+      console.error('❌ Error getting active session:', error);
+      return null;
+    }
+  }
+
+  async listSessions(userUUID, limitCount = 20) {
+    try {
+      return await this.sessions.listSessions(userUUID, limitCount);
+    } catch (error) {
+      console.error('❌ Error listing sessions:', error);
+      return [];
+    }
+  }
+
+  // Full-text search over conversations, context, breakthroughs and themes
+  async searchMemory(userUUID, queryText, options = {}) {
+    try {
+      const results = await this.search.search(userUUID, queryText, options);
+      console.log(`✅ Search for user ${userUUID} returned ${results.length} results`);
+      return results;
+    } catch (error) {
+      console.error('❌ Error searching memory:', error);
+      return [];
+    }
+  }
+
+  // Rolling digest for the user, or for one session when sessionId is given
+  async getDigest(userUUID, sessionId = null) {
     try {
-      // For now, generate a simple session ID based on date
-      const today = new Date().toISOString().split('T')[0];
-      return `session_${today}_${Date.now()}`;
+      return await this.digests.getDigest(userUUID, sessionId);
     } catch (error) {
-      console.error('❌ Error getting current session:', error);
-      return `session_${Date.now()}`;
+      console.error('❌ Error getting digest:', error);
+      return null;
     }
   }
 }
 
-export default FirebaseMemoryService;
\ No newline at end of file
+export default FirebaseMemoryService;
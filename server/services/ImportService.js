@@ -0,0 +1,250 @@
+import {
+  USER_RECORD_COLLECTIONS,
+  SESSIONS_COLLECTION,
+  SESSION_RECORD_TYPES,
+  EXPORT_FORMAT,
+  EXPORT_VERSION
+} from '../models/userData.js';
+import {
+  storedRecordSchemas,
+  storedProfileSchema,
+  storedInternalSchemas,
+  storedSessionSchema
+} from '../validation/schemas.js';
+import { validate } from '../validation/validator.js';
+
+// Restores an export archive (see ExportService) into a user's tree, e.g. to move a
+// user between the staging and production Firebase projects.
+//
+// Conflict modes for documents that already exist:
+//   skip      - keep the existing document
+//   overwrite - replace it with the archived one
+//   merge     - write the archived fields over it, keeping fields only the existing one has
+// With dryRun nothing is written; the report shows what would happen.
+export const CONFLICT_MODES = ['skip', 'overwrite', 'merge'];
+
+const IMPORTED_INTERNAL_COLLECTIONS = ['digests', 'conversationSessions', 'archive'];
+
+export class ImportError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ImportError';
+    this.details = details;
+  }
+}
+
+function isValidId(id) {
+  return typeof id === 'string' && id.length > 0 && id.length <= 256 && !id.includes('/');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Rewrites a date-time the way the API stores it. Older records may hold epoch milliseconds,
+// other date formats or exported Firestore Timestamps ({ seconds } or { _seconds }).
+function normalizeDateTime(value) {
+  const seconds = value?.seconds ?? value?._seconds;
+  const date = typeof seconds === 'number'
+    ? new Date(seconds * 1000)
+    : typeof value === 'number' || typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : value;
+}
+
+// Records written before the API validated its input can carry fields it no longer
+// accepts. Those are dropped (and counted under `${collectionKey}.${field}` in stripped)
+// and date-times are normalized; the result must then match the schema.
+function normalizeRecord(schema, record, collectionKey, stripped) {
+  if (!isPlainObject(record)) {
+    return record;
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(record)) {
+    const property = schema.properties[key];
+    if (!property) {
+      const field = `${collectionKey}.${key}`;
+      stripped[field] = (stripped[field] || 0) + 1;
+    } else {
+      normalized[key] = property.format === 'date-time' ? normalizeDateTime(value) : value;
+    }
+  }
+  return normalized;
+}
+
+// Returns { archive, stripped }: a copy of the archive with every document normalized
+// against the schema it is validated with, and the counts of fields dropped on the way
+export function normalizeArchive(archive) {
+  const stripped = {};
+  if (!isPlainObject(archive)) {
+    return { archive, stripped };
+  }
+
+  const normalizeAll = (records, schema, collectionKey) => (Array.isArray(records)
+    ? records.map(record => normalizeRecord(schema, record, collectionKey, stripped))
+    : records);
+
+  const normalized = { ...archive };
+  if (isPlainObject(archive.profile)) {
+    normalized.profile = normalizeRecord(storedProfileSchema, archive.profile, 'profile', stripped);
+  }
+  for (const collectionName of USER_RECORD_COLLECTIONS) {
+    normalized[collectionName] = normalizeAll(archive[collectionName], storedRecordSchemas[collectionName], collectionName);
+  }
+  for (const collectionName of IMPORTED_INTERNAL_COLLECTIONS) {
+    normalized[collectionName] = normalizeAll(archive[collectionName], storedInternalSchemas[collectionName], collectionName);
+  }
+  if (Array.isArray(archive.sessions)) {
+    normalized.sessions = archive.sessions.map(session => {
+      if (!isPlainObject(session)) {
+        return session;
+      }
+      const records = Object.fromEntries(SESSION_RECORD_TYPES.map(type => [
+        type, normalizeAll(session[type], storedRecordSchemas[type], `sessions.${type}`)
+      ]));
+      return { ...normalizeRecord(storedSessionSchema, sessionMetadata(session), 'sessions', stripped), ...records };
+    });
+  }
+
+  return { archive: normalized, stripped };
+}
+
+// A session entry without its record arrays
+function sessionMetadata(session) {
+  return Object.fromEntries(Object.entries(session).filter(([key]) => !SESSION_RECORD_TYPES.includes(key)));
+}
+
+// Throws an ImportError listing every structural problem in the archive, and every
+// document that does not match the schema of what the server stores (see validation/schemas.js)
+export function validateArchive(archive) {
+  const errors = [];
+  const checkSchema = (schema, value, field) => {
+    validate(schema, value).forEach(error => errors.push({
+      field: error.field === 'body' ? field : `${field}.${error.field}`,
+      message: error.message
+    }));
+  };
+
+  if (!isPlainObject(archive)) {
+    throw new ImportError('Archive must be a JSON object');
+  }
+  if (archive.format !== EXPORT_FORMAT) {
+    errors.push({ field: 'format', message: `must be ${EXPORT_FORMAT}` });
+  }
+  if (!Number.isInteger(archive.version) || archive.version > EXPORT_VERSION) {
+    errors.push({ field: 'version', message: `must be an export version up to ${EXPORT_VERSION}` });
+  }
+  if (archive.profile !== undefined && archive.profile !== null && !isPlainObject(archive.profile)) {
+    errors.push({ field: 'profile', message: 'must be an object or null' });
+  } else if (archive.profile) {
+    checkSchema(storedProfileSchema, archive.profile, 'profile');
+  }
+
+  const checkRecords = (records, field, schema = null) => {
+    if (records === undefined) return;
+    if (!Array.isArray(records)) {
+      errors.push({ field, message: 'must be an array' });
+      return;
+    }
+    records.forEach((record, index) => {
+      if (!isPlainObject(record) || !isValidId(record.id)) {
+        errors.push({ field: `${field}[${index}]`, message: 'must be an object with a valid id' });
+      } else if (schema) {
+        checkSchema(schema, record, `${field}[${index}]`);
+      }
+    });
+  };
+
+  USER_RECORD_COLLECTIONS.forEach(field => checkRecords(archive[field], field, storedRecordSchemas[field]));
+  IMPORTED_INTERNAL_COLLECTIONS.forEach(field => checkRecords(archive[field], field, storedInternalSchemas[field]));
+  checkRecords(archive.sessions, 'sessions');
+  (Array.isArray(archive.sessions) ? archive.sessions : []).forEach((session, index) => {
+    if (!isPlainObject(session)) return;
+    checkSchema(storedSessionSchema, sessionMetadata(session), `sessions[${index}]`);
+    SESSION_RECORD_TYPES.forEach(type => checkRecords(session[type], `sessions[${index}].${type}`, storedRecordSchemas[type]));
+  });
+
+  if (errors.length > 0) {
+    throw new ImportError('Invalid archive', errors);
+  }
+}
+
+class ImportService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async importUser(userUUID, archive, { conflict = 'skip', dryRun = false } = {}) {
+    if (!CONFLICT_MODES.includes(conflict)) {
+      throw new ImportError(`conflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+    }
+    const { archive: normalized, stripped } = normalizeArchive(archive);
+    validateArchive(normalized);
+    archive = normalized;
+
+    const report = {
+      userUUID,
+      sourceUserUUID: archive.userUUID || null,
+      conflict,
+      dryRun,
+      collections: {},
+      totals: {},
+      strippedFields: stripped
+    };
+    const userPath = ['users', userUUID];
+
+    if (archive.profile) {
+      await this.importDoc(report, 'profile', userPath, archive.profile, conflict, dryRun);
+    }
+
+    for (const collectionName of [...USER_RECORD_COLLECTIONS, ...IMPORTED_INTERNAL_COLLECTIONS]) {
+      for (const { id, ...data } of archive[collectionName] || []) {
+        await this.importDoc(report, collectionName, [...userPath, collectionName, id], data, conflict, dryRun);
+      }
+    }
+
+    for (const session of archive.sessions || []) {
+      const { id, ...metadata } = sessionMetadata(session);
+      const sessionPath = [...userPath, SESSIONS_COLLECTION, id];
+      // Legacy sessions were exported without a session document
+      if (Object.keys(metadata).length > 0) {
+        await this.importDoc(report, 'sessions', sessionPath, metadata, conflict, dryRun);
+      }
+
+      for (const type of SESSION_RECORD_TYPES) {
+        for (const { id: recordId, ...data } of session[type] || []) {
+          await this.importDoc(report, `sessions.${type}`, [...sessionPath, type, recordId], data, conflict, dryRun);
+        }
+      }
+    }
+
+    console.log(`✅ Import ${dryRun ? 'dry run ' : ''}for user ${userUUID}:`, report.totals);
+    return report;
+  }
+
+  async importDoc(report, collectionKey, path, data, conflict, dryRun) {
+    const existing = await this.storage.getDoc(path);
+    let outcome;
+
+    if (!existing) {
+      outcome = 'created';
+      if (!dryRun) await this.storage.setDoc(path, data);
+    } else if (JSON.stringify(existing) === JSON.stringify({ ...existing, ...data })) {
+      outcome = 'unchanged';
+    } else if (conflict === 'skip') {
+      outcome = 'skipped';
+    } else if (conflict === 'overwrite') {
+      outcome = 'overwritten';
+      if (!dryRun) await this.storage.setDoc(path, data);
+    } else {
+      outcome = 'merged';
+      if (!dryRun) await this.storage.setDoc(path, data, { merge: true });
+    }
+
+    const counts = report.collections[collectionKey] || (report.collections[collectionKey] = {});
+    counts[outcome] = (counts[outcome] || 0) + 1;
+    report.totals[outcome] = (report.totals[outcome] || 0) + 1;
+  }
+}
+
+export default ImportService;
@@ -0,0 +1,25 @@
+// Runs async tasks one at a time per key (e.g. per user), in the order they were queued.
+// The same promise chain JsonFileStorageAdapter uses for its writes, with one chain per
+// key. It serializes work within this process only.
+class KeyedQueue {
+  constructor() {
+    // key -> promise that settles when the key's last queued task has finished
+    this.tails = new Map();
+  }
+
+  // Returns the task's result once every earlier task for the key has finished
+  run(key, task) {
+    const result = (this.tails.get(key) || Promise.resolve()).then(() => task());
+    // A failed task must not block the tasks queued after it
+    const tail = result.catch(() => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+    return result;
+  }
+}
+
+export default KeyedQueue;
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import { USER_REGISTRY_COLLECTION, RETENTION_RECORD_TYPES } from '../models/userData.js';
+import { DOCUMENT_ID } from './storage/StorageAdapter.js';
+import { CHUNK_SIZE } from './DeletionService.js';
+
+// Automatic expiry of old memory records.
+//
+// Each record type has a retention period in days, configured with
+// MEMORY_RETENTION_<TYPE>_DAYS (e.g. MEMORY_RETENTION_CONVERSATIONS_DAYS=90). Unset or 0
+// keeps that type forever. A user's profile may set `retention: { <type>: days }`; an
+// override can only shorten the server-wide period, never extend it.
+//
+// The sweeper runs every MEMORY_RETENTION_SWEEP_INTERVAL_MINUTES (default 60, 0 disables)
+// and either deletes expired records or, with MEMORY_RETENTION_MODE=archive, moves them to
+// users/{uid}/archive where they no longer appear in memory, search or context. Every sweep
+// is logged and summarized in retentionSweeps/{sweepId}. The sweep also closes sessions
+// that have been idle too long, so it runs even when no retention period is configured.
+export const RETENTION_MODES = ['delete', 'archive'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USER_PAGE_SIZE = 100;
+
+// Archive documents are keyed by the record they came from, so a sweep that is retried
+// after failing between the archive write and the delete overwrites instead of duplicating
+function archiveId(sourcePath) {
+  return crypto.createHash('sha256').update(sourcePath).digest('hex').slice(0, 40);
+}
+
+function parseDays(value) {
+  const days = parseInt(value);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+export function loadRetentionConfig(env = process.env) {
+  const policy = Object.fromEntries(RETENTION_RECORD_TYPES.map(type => [
+    type, parseDays(env[`MEMORY_RETENTION_${type.toUpperCase()}_DAYS`])
+  ]));
+  const mode = RETENTION_MODES.includes(env.MEMORY_RETENTION_MODE) ? env.MEMORY_RETENTION_MODE : 'delete';
+  const interval = parseInt(env.MEMORY_RETENTION_SWEEP_INTERVAL_MINUTES);
+
+  return {
+    policy,
+    mode,
+    sweepIntervalMinutes: Number.isInteger(interval) && interval >= 0 ? interval : 60
+  };
+}
+
+// Server policy combined with the user's override; null means keep forever
+export function effectivePolicy(policy, override = {}) {
+  return Object.fromEntries(RETENTION_RECORD_TYPES.map(type => {
+    const days = [policy[type], parseDays(override?.[type])].filter(Boolean);
+    return [type, days.length > 0 ? Math.min(...days) : null];
+  }));
+}
+
+class RetentionService {
+  constructor(storage, config = loadRetentionConfig(), sessions = null) {
+    this.storage = storage;
+    this.config = config;
+    this.sessions = sessions;
+    this.trackedUsers = new Set();
+    this.timer = null;
+    this.sweeping = false;
+    this.sweptListeners = [];
+  }
+
+  // listener(userUUID, removed) runs after records were removed for a user
+  onUserSwept(listener) {
+    this.sweptListeners.push(listener);
+  }
+
+  // Records that a user has stored memory, so the sweeper will visit them
+  async trackUser(userUUID) {
+    if (this.trackedUsers.has(userUUID)) {
+      return;
+    }
+    await this.storage.createDoc([USER_REGISTRY_COLLECTION, userUUID], {
+      userUUID,
+      firstSeenAt: new Date().toISOString()
+    });
+    this.trackedUsers.add(userUUID);
+  }
+
+  // Called after a user's data (including the registry entry) has been deleted
+  forgetUser(userUUID) {
+    this.trackedUsers.delete(userUUID);
+  }
+
+  async getUserPolicy(userUUID) {
+    const profile = await this.storage.getDoc(['users', userUUID]);
+    return effectivePolicy(this.config.policy, profile?.retention);
+  }
+
+  start() {
+    const { sweepIntervalMinutes, mode, policy } = this.config;
+    if (!sweepIntervalMinutes || this.timer) {
+      console.log('ℹ️ Retention sweeper disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Retention sweep failed:', error));
+    }, sweepIntervalMinutes * 60 * 1000);
+    // Never keep the process alive just for the sweeper
+    this.timer.unref();
+    console.log(`✅ Retention sweeper running every ${sweepIntervalMinutes} minutes (${mode}):`, policy);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Expires records for every registered user (and every user with a profile).
+  // Returns the sweep summary, or null if a sweep was already running.
+  async sweep(now = new Date()) {
+    if (this.sweeping) {
+      console.log('ℹ️ Retention sweep already running, skipping');
+      return null;
+    }
+    this.sweeping = true;
+
+    const summary = {
+      sweepId: `sweep_${now.getTime()}`,
+      mode: this.config.mode,
+      startedAt: now.toISOString(),
+      completedAt: null,
+      usersChecked: 0,
+      usersAffected: 0,
+      removed: {},
+      totalRemoved: 0,
+      sessionsClosed: 0,
+      errors: 0
+    };
+
+    try {
+      for await (const userUUID of this.userIds()) {
+        summary.usersChecked++;
+        try {
+          if (this.sessions) {
+            summary.sessionsClosed += await this.sessions.closeIdleSessions(userUUID, now.getTime());
+          }
+
+          const removed = await this.sweepUser(userUUID, now);
+          const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+          if (total > 0) {
+            summary.usersAffected++;
+            summary.totalRemoved += total;
+            for (const [type, count] of Object.entries(removed)) {
+              summary.removed[type] = (summary.removed[type] || 0) + count;
+            }
+            console.log(`🧹 Retention ${this.config.mode} for user ${userUUID}:`, removed);
+            for (const listener of this.sweptListeners) {
+              await listener(userUUID, removed);
+            }
+          }
+        } catch (error) {
+          summary.errors++;
+          console.error(`❌ Retention sweep failed for user ${userUUID}:`, error);
+        }
+      }
+
+      summary.completedAt = new Date().toISOString();
+      await this.storage.setDoc(['retentionSweeps', summary.sweepId], summary);
+      console.log(`✅ Retention sweep ${summary.sweepId}: ${summary.totalRemoved} records removed from ${summary.usersAffected}/${summary.usersChecked} users, ${summary.sessionsClosed} idle sessions closed`);
+      return summary;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Yields the document ids of a collection in id order, one page at a time
+  async *pageIds(collectionPath) {
+    let last = null;
+    for (;;) {
+      const page = await this.storage.queryDocs(collectionPath, {
+        where: last === null ? [] : [[DOCUMENT_ID, '>', last]],
+        orderBy: { field: DOCUMENT_ID },
+        limit: USER_PAGE_SIZE
+      });
+      for (const { id } of page) {
+        yield id;
+      }
+      if (page.length < USER_PAGE_SIZE) {
+        return;
+      }
+      last = page[page.length - 1].id;
+    }
+  }
+
+  // Every registered user and every user with a profile. Both collections are paged in
+  // id order, so merging them drops duplicates without holding either in memory.
+  async *userIds() {
+    const registered = this.pageIds([USER_REGISTRY_COLLECTION]);
+    const profiles = this.pageIds(['users']);
+    let a = await registered.next();
+    let b = await profiles.next();
+
+    while (!a.done || !b.done) {
+      if (b.done || (!a.done && a.value < b.value)) {
+        yield a.value;
+        a = await registered.next();
+      } else if (a.done || b.value < a.value) {
+        yield b.value;
+        b = await profiles.next();
+      } else {
+        yield a.value;
+        a = await registered.next();
+        b = await profiles.next();
+      }
+    }
+  }
+
+  // Returns { recordType: removedCount } for one user
+  async sweepUser(userUUID, now = new Date()) {
+    const policy = await this.getUserPolicy(userUUID);
+    const removed = {};
+
+    for (const type of RETENTION_RECORD_TYPES.filter(type => policy[type])) {
+      const cutoff = new Date(now.getTime() - policy[type] * DAY_MS).toISOString();
+      const count = await this.expireRecords(userUUID, type, cutoff);
+      if (count > 0) {
+        removed[type] = count;
+      }
+    }
+
+    return removed;
+  }
+
+  // Removes records of one type older than cutoff, chunk by chunk; returns how many were
+  // removed. The collection group query finds them both directly under the user and under
+  // every session, and only reads expired records.
+  async expireRecords(userUUID, type, cutoff) {
+    let total = 0;
+
+    for (;;) {
+      const expired = await this.storage.queryCollectionGroup(type, ['users', userUUID], {
+        where: [['timestamp', '<', cutoff]],
+        limit: CHUNK_SIZE
+      });
+      if (expired.length === 0) {
+        return total;
+      }
+
+      if (this.config.mode === 'archive') {
+        const archivedAt = new Date().toISOString();
+        for (const { id, path, ...record } of expired) {
+          const sourcePath = path.join('/');
+          await this.storage.setDoc(['users', userUUID, 'archive', archiveId(sourcePath)], {
+            recordType: type,
+            sourcePath,
+            timestamp: record.timestamp,
+            archivedAt,
+            record
+          });
+        }
+      }
+
+      await this.storage.deleteDocs(expired.map(record => record.path));
+      total += expired.length;
+    }
+  }
+}
+
+export default RetentionService;
@@ -0,0 +1,186 @@
+// Full-text search across a user's stored memory, ranked with BM25.
+//
+// The index is built per query from the user's conversations, context entries and their
+// sessions' context, breakthroughs and themes, so there is no secondary index to keep in
+// sync. The scan is bounded: each collection contributes at most SEARCH_MAX_DOCUMENTS of its
+// newest records, and session records come from the SEARCH_MAX_SESSIONS most recent sessions,
+// sharing one SEARCH_MAX_DOCUMENTS budget between them.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_RADIUS = 80;
+const DEFAULT_MAX_DOCUMENTS = 2000;
+const DEFAULT_MAX_SESSIONS = 100;
+
+export const SEARCH_TYPES = ['conversation', 'context', 'breakthrough', 'theme'];
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'for', 'from', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'myself', 'no', 'not',
+  'of', 'on', 'or', 'our', 'out', 'say', 'said', 'she', 'so', 'some', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too', 'up', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would',
+  'you', 'your'
+]);
+
+// Light suffix stripping so "fathers", "fathering" and "father" share a term
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => word.replace(/'s$|'/g, ''))
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Text that is searched for each record type
+function searchableText(type, record) {
+  switch (type) {
+    case 'conversation':
+      return record.content || '';
+    case 'context':
+      return [record.contextType, record.content, ...(record.tags || [])].filter(Boolean).join(' ');
+    case 'breakthrough':
+      return [record.description, record.insight, record.trigger].filter(Boolean).join(' ');
+    case 'theme':
+      return [record.theme || record.name, record.description].filter(Boolean).join(' ');
+    default:
+      return '';
+  }
+}
+
+export function buildSnippet(text, queryTerms) {
+  const lower = text.toLowerCase();
+  let position = -1;
+
+  for (const match of lower.matchAll(/[\p{L}\p{N}']+/gu)) {
+    if (queryTerms.has(stem(match[0].replace(/'s$|'/g, '')))) {
+      position = match.index;
+      break;
+    }
+  }
+
+  if (position === -1 || text.length <= SNIPPET_RADIUS * 2) {
+    return text.length > SNIPPET_RADIUS * 2 ? `${text.substring(0, SNIPPET_RADIUS * 2)}...` : text;
+  }
+
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+  return `${start > 0 ? '...' : ''}${text.substring(start, end)}${end < text.length ? '...' : ''}`;
+}
+
+class SearchService {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.maxDocuments = options.maxDocuments
+      || parseInt(process.env.SEARCH_MAX_DOCUMENTS) || DEFAULT_MAX_DOCUMENTS;
+    this.maxSessions = options.maxSessions
+      || parseInt(process.env.SEARCH_MAX_SESSIONS) || DEFAULT_MAX_SESSIONS;
+  }
+
+  async collectDocuments(userUUID, types, { from, to } = {}) {
+    const where = [];
+    if (from) where.push(['timestamp', '>=', from]);
+    if (to) where.push(['timestamp', '<=', to]);
+    const queryOptions = { where, orderBy: { field: 'timestamp', direction: 'desc' }, limit: this.maxDocuments };
+
+    const documents = [];
+    const add = (type, records) => records.forEach(record => documents.push({ type, record }));
+
+    if (types.includes('conversation')) {
+      add('conversation', await this.storage.queryDocs(['users', userUUID, 'conversations'], queryOptions));
+    }
+    if (types.includes('context')) {
+      add('context', await this.storage.queryDocs(['users', userUUID, 'context'], queryOptions));
+    }
+
+    const sessionTypes = { context: 'context', breakthrough: 'breakthroughs', theme: 'themes' };
+    const wantedSessionTypes = Object.keys(sessionTypes).filter(type => types.includes(type));
+    if (wantedSessionTypes.length > 0) {
+      const sessions = await this.storage.queryDocs(['users', userUUID, 'sessions'], {
+        orderBy: { field: 'startedAt', direction: 'desc' },
+        limit: this.maxSessions
+      });
+      let budget = this.maxDocuments;
+      for (const session of sessions) {
+        for (const type of wantedSessionTypes) {
+          // A limit of 0 would mean no limit at all to the storage adapters
+          if (budget <= 0) return documents;
+          const records = await this.storage.queryDocs(
+            ['users', userUUID, 'sessions', session.id, sessionTypes[type]], { ...queryOptions, limit: budget }
+          );
+          add(type, records);
+          budget -= records.length;
+        }
+      }
+    }
+
+    return documents;
+  }
+
+  // Returns the best matching records: [{ type, id, sessionId, timestamp, stage, score, snippet }]
+  async search(userUUID, queryText, { types = SEARCH_TYPES, limit = 10, from, to } = {}) {
+    const queryTerms = new Set(tokenize(queryText));
+    if (queryTerms.size === 0) {
+      return [];
+    }
+
+    const documents = (await this.collectDocuments(userUUID, types, { from, to }))
+      .map(doc => {
+        const text = searchableText(doc.type, doc.record);
+        const terms = tokenize(text);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        return { ...doc, text, length: terms.length, frequencies };
+      })
+      .filter(doc => doc.length > 0);
+
+    if (documents.length === 0) {
+      return [];
+    }
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length;
+    const documentFrequency = new Map();
+    for (const term of queryTerms) {
+      documentFrequency.set(term, documents.filter(doc => doc.frequencies.has(term)).length);
+    }
+
+    const scored = [];
+    for (const doc of documents) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = doc.frequencies.get(term);
+        if (!tf) continue;
+
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+      }
+
+      if (score > 0) {
+        scored.push({
+          type: doc.type,
+          id: doc.record.id,
+          sessionId: doc.record.sessionId || null,
+          timestamp: doc.record.timestamp,
+          stage: doc.record.stage || null,
+          score: Math.round(score * 1000) / 1000,
+          snippet: buildSnippet(doc.text, queryTerms)
+        });
+      }
+    }
+
+    // Ties go to the more recent record
+    scored.sort((a, b) => b.score - a.score || String(b.timestamp).localeCompare(String(a.timestamp)));
+    return scored.slice(0, limit);
+  }
+}
+
+export default SearchService;
@@ -0,0 +1,280 @@
+// Session lifecycle for memory sessions.
+//
+// Each session is a document at users/{uid}/sessions/{sessionId} (the parent of the
+// stages/context/breakthroughs/themes subcollections) holding its metadata. The user's
+// active session is tracked by a pointer document at users/{uid}/meta/activeSession.
+// ElevenLabs conversations are mapped to sessions via users/{uid}/conversationSessions/{conversationId}.
+// Sessions that see no activity for SESSION_IDLE_TIMEOUT_MINUTES are closed by the
+// retention sweeper, or earlier when a write asks for the active session.
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+
+export function generateSessionId() {
+  const today = new Date().toISOString().split('T')[0];
+  return `session_${today}_${Date.now()}`;
+}
+
+class SessionService {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    const idleMinutes = options.idleTimeoutMinutes
+      ?? (parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || DEFAULT_IDLE_TIMEOUT_MINUTES);
+    this.idleTimeoutMs = idleMinutes * 60 * 1000;
+  }
+
+  sessionPath(userUUID, sessionId) {
+    return ['users', userUUID, 'sessions', sessionId];
+  }
+
+  activePointerPath(userUUID) {
+    return ['users', userUUID, 'meta', 'activeSession'];
+  }
+
+  async getSession(userUUID, sessionId) {
+    const session = await this.storage.getDoc(this.sessionPath(userUUID, sessionId));
+    return session ? { ...session, sessionId } : null;
+  }
+
+  async listSessions(userUUID, limitCount = 20) {
+    return this.storage.queryDocs(['users', userUUID, 'sessions'], {
+      orderBy: { field: 'startedAt', direction: 'desc' },
+      limit: limitCount
+    });
+  }
+
+  isIdle(session, now = Date.now()) {
+    const lastActivity = Date.parse(session.lastActivityAt || session.startedAt);
+    return Number.isFinite(lastActivity) && now - lastActivity > this.idleTimeoutMs;
+  }
+
+  // Returns the active session without changing anything; null if there is none or it is idle
+  async peekActiveSession(userUUID) {
+    const pointer = await this.storage.getDoc(this.activePointerPath(userUUID));
+    if (!pointer?.sessionId) {
+      return null;
+    }
+
+    const session = await this.getSession(userUUID, pointer.sessionId);
+    return session?.status === 'active' && !this.isIdle(session) ? session : null;
+  }
+
+  // Returns the active session, or null if there is none (or it just timed out)
+  async getActiveSession(userUUID) {
+    const pointer = await this.storage.getDoc(this.activePointerPath(userUUID));
+    if (!pointer?.sessionId) {
+      return null;
+    }
+
+    const session = await this.getSession(userUUID, pointer.sessionId);
+    if (!session || session.status !== 'active') {
+      await this.storage.deleteDoc(this.activePointerPath(userUUID));
+      return null;
+    }
+
+    if (this.isIdle(session)) {
+      console.log(`⏱️ Session ${session.sessionId} idle for too long, closing it`);
+      // An idle session ended when its last activity happened, not when we noticed
+      await this.endSession(userUUID, session.sessionId, {
+        reason: 'idle_timeout',
+        endedAt: session.lastActivityAt || session.startedAt
+      });
+      return null;
+    }
+
+    return session;
+  }
+
+  // Returns the active session, starting a new one if needed
+  async resolveActiveSession(userUUID) {
+    return (await this.getActiveSession(userUUID)) || this.startSession(userUUID);
+  }
+
+  async startSession(userUUID, { sessionId, metadata = {}, startedAt } = {}) {
+    const active = await this.getActiveSession(userUUID);
+    if (active && active.sessionId !== sessionId) {
+      await this.endSession(userUUID, active.sessionId, { reason: 'superseded' });
+    }
+
+    const id = sessionId || generateSessionId();
+    const existing = await this.getSession(userUUID, id);
+    if (existing) {
+      return this.resumeSession(userUUID, id);
+    }
+
+    const session = await this.createSession(userUUID, id, { metadata, startedAt });
+    await this.setActivePointer(userUUID, id);
+    console.log(`✅ Session ${id} started for user ${userUUID}`);
+    return session;
+  }
+
+  // Writes a new session document without touching the active pointer
+  async createSession(userUUID, sessionId, { metadata = {}, startedAt } = {}) {
+    // startedAt may lie in the past (e.g. a finished call); activity is always "now"
+    const now = new Date().toISOString();
+    const session = {
+      sessionId,
+      status: 'active',
+      startedAt: startedAt || now,
+      lastActivityAt: now,
+      endedAt: null,
+      durationMs: null,
+      endReason: null,
+      messageCount: 0,
+      stagesTouched: [],
+      conversationIds: [],
+      metadata
+    };
+
+    await this.storage.setDoc(this.sessionPath(userUUID, sessionId), session);
+    return session;
+  }
+
+  // Reopens an existing session and makes it the active one. Returns null if it does not exist.
+  async resumeSession(userUUID, sessionId) {
+    const session = await this.getSession(userUUID, sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const active = await this.getActiveSession(userUUID);
+    if (active && active.sessionId !== sessionId) {
+      await this.endSession(userUUID, active.sessionId, { reason: 'superseded' });
+    }
+
+    const updates = {
+      status: 'active',
+      lastActivityAt: new Date().toISOString(),
+      endedAt: null,
+      durationMs: null,
+      endReason: null
+    };
+    await this.storage.setDoc(this.sessionPath(userUUID, sessionId), updates, { merge: true });
+    await this.setActivePointer(userUUID, sessionId);
+    console.log(`✅ Session ${sessionId} resumed for user ${userUUID}`);
+    return { ...session, ...updates };
+  }
+
+  // Closes a session. Returns null if it does not exist.
+  async endSession(userUUID, sessionId, { reason = 'ended', endedAt } = {}) {
+    const session = await this.getSession(userUUID, sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const endTime = endedAt || new Date().toISOString();
+    const updates = {
+      status: 'ended',
+      endedAt: endTime,
+      durationMs: Math.max(0, Date.parse(endTime) - Date.parse(session.startedAt)) || 0,
+      endReason: reason
+    };
+    await this.storage.setDoc(this.sessionPath(userUUID, sessionId), updates, { merge: true });
+
+    const pointer = await this.storage.getDoc(this.activePointerPath(userUUID));
+    if (pointer?.sessionId === sessionId) {
+      await this.storage.deleteDoc(this.activePointerPath(userUUID));
+    }
+
+    console.log(`✅ Session ${sessionId} ended (${reason})`);
+    return { ...session, ...updates };
+  }
+
+  // Ends every active session that has been idle too long. Returns how many were closed.
+  async closeIdleSessions(userUUID, now = Date.now()) {
+    const active = await this.storage.queryDocs(['users', userUUID, 'sessions'], {
+      where: [['status', '==', 'active']]
+    });
+
+    let closed = 0;
+    for (const session of active) {
+      if (this.isIdle(session, now)) {
+        await this.endSession(userUUID, session.id, {
+          reason: 'idle_timeout',
+          endedAt: session.lastActivityAt || session.startedAt
+        });
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  // Records activity on a session. A session referenced before it was started (e.g. a
+  // client-chosen id) is created here, but only becomes the active session when none is
+  // active: a stray or mistyped id must never end the user's live session.
+  async touchSession(userUUID, sessionId, { messages = 0, stage } = {}) {
+    let session = await this.getSession(userUUID, sessionId);
+    if (!session) {
+      session = await this.createSession(userUUID, sessionId);
+      if (!(await this.getActiveSession(userUUID))) {
+        await this.setActivePointer(userUUID, sessionId);
+      }
+      console.log(`✅ Session ${sessionId} created on first write for user ${userUUID}`);
+    }
+
+    const stagesTouched = session.stagesTouched || [];
+    await this.storage.setDoc(this.sessionPath(userUUID, sessionId), {
+      lastActivityAt: new Date().toISOString(),
+      messageCount: (session.messageCount || 0) + messages,
+      stagesTouched: stage && !stagesTouched.includes(stage) ? [...stagesTouched, stage] : stagesTouched
+    }, { merge: true });
+  }
+
+  conversationMappingPath(userUUID, conversationId) {
+    return ['users', userUUID, 'conversationSessions', conversationId];
+  }
+
+  async getConversationSession(userUUID, conversationId) {
+    const mapping = await this.storage.getDoc(this.conversationMappingPath(userUUID, conversationId));
+    return mapping?.sessionId || null;
+  }
+
+  // Returns { sessionId, created } for an ElevenLabs conversation. A conversation that is not
+  // mapped yet joins the user's active session, or starts its own when none is active.
+  async resolveConversationSession(userUUID, conversationId, { agentId = null, startedAt } = {}) {
+    const existing = await this.getConversationSession(userUUID, conversationId);
+    if (existing) {
+      return { sessionId: existing, created: false };
+    }
+
+    let session = await this.getActiveSession(userUUID);
+    let created = false;
+    if (!session) {
+      session = await this.startSession(userUUID, {
+        startedAt,
+        metadata: { source: 'elevenlabs', conversationId, agentId }
+      });
+      created = true;
+    }
+
+    const mapped = await this.storage.createDoc(this.conversationMappingPath(userUUID, conversationId), {
+      conversationId,
+      sessionId: session.sessionId,
+      agentId,
+      createdAt: new Date().toISOString()
+    });
+
+    // Another delivery mapped the conversation first; use its session
+    if (!mapped) {
+      if (created) {
+        await this.endSession(userUUID, session.sessionId, { reason: 'duplicate' });
+      }
+      return { sessionId: await this.getConversationSession(userUUID, conversationId), created: false };
+    }
+
+    const conversationIds = session.conversationIds || [];
+    await this.storage.setDoc(this.sessionPath(userUUID, session.sessionId), {
+      conversationIds: [...conversationIds, conversationId]
+    }, { merge: true });
+
+    console.log(`✅ Conversation ${conversationId} mapped to session ${session.sessionId}`);
+    return { sessionId: session.sessionId, created };
+  }
+
+  async setActivePointer(userUUID, sessionId) {
+    await this.storage.setDoc(this.activePointerPath(userUUID), {
+      sessionId,
+      updatedAt: new Date().toISOString()
+    });
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,172 @@
+import { CSS_STAGES, STAGE_SYMBOLS, isValidStage, transitionType } from '../models/stages.js';
+
+// Stage history and analytics. users/{uid}/stages is the canonical history; session stage
+// records mirror it per session. The profile's currentStage is server-owned: it follows every
+// recorded transition and clients cannot write it.
+// Analytics and trajectories are computed from at most this many of the newest progressions
+export const STAGE_HISTORY_LIMIT = 500;
+
+class StageService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // The newest progressions (up to limitCount), oldest first
+  async getStageHistory(userUUID, limitCount = STAGE_HISTORY_LIMIT) {
+    const newest = await this.storage.queryDocs(['users', userUUID, 'stages'], {
+      orderBy: { field: 'timestamp', direction: 'desc' },
+      limit: limitCount
+    });
+    return newest.reverse();
+  }
+
+  // The latest progression record, or null
+  async getLatestProgression(userUUID) {
+    const [latest] = await this.getStageHistory(userUUID, 1);
+    return latest || null;
+  }
+
+  // The profile's currentStage, or null. The latest progression's stage takes precedence; this
+  // is only a fallback for users without records (e.g. after the retention sweeper purged them).
+  async getProfileStage(userUUID) {
+    const profile = await this.storage.getDoc(['users', userUUID]);
+    return isValidStage(profile?.currentStage) ? profile.currentStage : null;
+  }
+
+  async setCurrentStage(userUUID, stage, previousStage, changedAt) {
+    await this.storage.setDoc(['users', userUUID], {
+      currentStage: stage,
+      lastStage: previousStage,
+      currentStageSince: changedAt
+    }, { merge: true });
+  }
+
+  async getAnalytics(userUUID, now = new Date()) {
+    return analyzeStageHistory(await this.getStageHistory(userUUID), now);
+  }
+
+  // The user's stage as the progression records show it. When the profile's currentStage
+  // disagrees, the records win and the profile is corrected. Without any records the
+  // profile's stage is used as is.
+  async getStageState(userUUID, { trajectoryLength = 10, now = new Date() } = {}) {
+    const history = (await this.getStageHistory(userUUID)).filter(record => isValidStage(record.stage));
+    const profile = await this.storage.getDoc(['users', userUUID]);
+    const analytics = analyzeStageHistory(history, now);
+    const profileStage = isValidStage(profile?.currentStage) ? profile.currentStage : null;
+    const derived = analytics.currentStage;
+
+    let reconciled = false;
+    if (derived && derived.symbol !== profileStage) {
+      console.log(`ℹ️ Profile stage ${profileStage} for user ${userUUID} corrected to ${derived.symbol}`);
+      await this.setCurrentStage(userUUID, derived.symbol, derived.previousStage, derived.since);
+      reconciled = true;
+    }
+
+    const trajectory = history
+      .map((record, index) => ({
+        stage: record.stage,
+        transition: transitionType(history[index - 1]?.stage || null, record.stage),
+        timestamp: record.timestamp
+      }))
+      .slice(-trajectoryLength);
+
+    return {
+      currentStage: derived?.symbol || profileStage,
+      source: derived ? 'progressions' : profileStage ? 'profile' : null,
+      previousStage: derived ? derived.previousStage : (isValidStage(profile?.lastStage) ? profile.lastStage : null),
+      changedAt: derived ? derived.since : profile?.currentStageSince || null,
+      trajectory,
+      direction: trajectoryDirection(trajectory),
+      profileStage,
+      reconciled,
+      analytics
+    };
+  }
+}
+
+// Overall movement across a trajectory, judged by its advances and regressions
+export function trajectoryDirection(trajectory) {
+  if (trajectory.length === 0) {
+    return null;
+  }
+
+  const counts = { advance: 0, regression: 0, new_cycle: 0 };
+  trajectory.forEach(step => {
+    if (step.transition in counts) counts[step.transition]++;
+  });
+
+  if (counts.new_cycle > 0 && counts.advance >= counts.regression) return 'cycling';
+  if (counts.advance > counts.regression) return 'advancing';
+  if (counts.regression > counts.advance) return 'regressing';
+  return counts.advance > 0 ? 'oscillating' : 'steady';
+}
+
+// Time in stage, transition counts and regressions for a history sorted oldest first.
+// Transition types are recomputed from the sequence, so records written before transitions
+// were validated are classified the same way (forward jumps show up as `skip`).
+export function analyzeStageHistory(history, now = new Date()) {
+  const progressions = history.filter(record => isValidStage(record.stage));
+  const timeInStage = Object.fromEntries(STAGE_SYMBOLS.map(symbol => [
+    symbol, { name: CSS_STAGES[symbol].name, totalMs: 0, visits: 0 }
+  ]));
+  const transitionCounts = {};
+  const transitionTypes = {};
+  const regressions = [];
+  let cyclesCompleted = 0;
+
+  progressions.forEach((record, index) => {
+    const previous = progressions[index - 1]?.stage || null;
+    const type = transitionType(previous, record.stage);
+    transitionTypes[type] = (transitionTypes[type] || 0) + 1;
+
+    if (previous) {
+      const key = `${previous}→${record.stage}`;
+      transitionCounts[key] = (transitionCounts[key] || 0) + 1;
+    }
+    if (type === 'regression') {
+      regressions.push({ from: previous, to: record.stage, timestamp: record.timestamp, sessionId: record.sessionId || null });
+    }
+    if (type !== 'hold') {
+      timeInStage[record.stage].visits++;
+    }
+    if (record.stage === '⊘' && type !== 'hold') {
+      cyclesCompleted++;
+    }
+
+    const until = progressions[index + 1]?.timestamp || now.toISOString();
+    timeInStage[record.stage].totalMs += Math.max(0, Date.parse(until) - Date.parse(record.timestamp));
+  });
+
+  // An array keeps the stage order; object keys would move the numeric symbols first
+  const timeInStageList = STAGE_SYMBOLS.map(symbol => ({
+    stage: symbol,
+    ...timeInStage[symbol],
+    averageMs: timeInStage[symbol].visits > 0 ? Math.round(timeInStage[symbol].totalMs / timeInStage[symbol].visits) : 0
+  }));
+
+  // The current stage started with its latest non-hold transition; the stage before that
+  // run is the previous stage
+  const latest = progressions[progressions.length - 1];
+  let runStart = progressions.length - 1;
+  while (runStart > 0 && progressions[runStart - 1].stage === latest.stage) {
+    runStart--;
+  }
+  const since = latest ? progressions[runStart].timestamp : null;
+  const previousStage = runStart > 0 ? progressions[runStart - 1].stage : null;
+
+  return {
+    currentStage: latest
+      ? { symbol: latest.stage, name: CSS_STAGES[latest.stage].name, previousStage, since, timeInStageMs: now.getTime() - Date.parse(since) }
+      : null,
+    totalProgressions: progressions.length,
+    firstRecordedAt: progressions[0]?.timestamp || null,
+    lastRecordedAt: latest?.timestamp || null,
+    timeInStage: timeInStageList,
+    transitionCounts,
+    transitionTypes,
+    regressions: { count: regressions.length, events: regressions.slice(-20) },
+    cyclesCompleted
+  };
+}
+
+export default StageService;
@@ -0,0 +1,331 @@
+import { tokenize } from './SearchService.js';
+import { discoverSessionIds } from './DeletionService.js';
+import KeyedQueue from './KeyedQueue.js';
+
+// Per-user index of recurring themes at users/{uid}/themeIndex/{key}.
+//
+// Themes enter the index when the agent records one (storeTherapeuticTheme) or when a user
+// message mentions one of THEME_LEXICON. After that, every user message that mentions an
+// indexed theme and every breakthrough in a session where it came up are linked to it. A
+// theme's key is its stemmed terms, so "Fear of abandonment" and "fears of abandonment"
+// share an entry; a message mentions it when it contains all of those terms.
+//
+// Index entry:
+//   { theme, key, terms, lastDescription, firstSeenAt, lastSeenAt, frequency, recordCount,
+//     mentionCount, sessionCount, sessionIds, breakthroughIds, stages: { symbol: count } }
+// sessionIds and breakthroughIds keep the newest MAX_LINKED ids, most recent last. Since
+// sessionIds is capped, sessionCount is counted from users/{uid}/themeSessions, which holds
+// one document per theme and session.
+//
+// The index is derived data: rebuildIndex() recomputes it from the stored records. The
+// profile's recurring_themes is kept in sync with it. Updates for one user run one at a time,
+// so concurrent messages never overwrite each other's counts.
+const MAX_LINKED = 50;
+const MAX_KEY_LENGTH = 120;
+// Themes seen in this many sessions count as recurring
+const RECURRING_MIN_SESSIONS = 2;
+const PROFILE_THEME_COUNT = 10;
+const DEFAULT_RECENT_SESSIONS = 4;
+
+// Themes recognised in conversation before the agent has recorded them
+const THEME_LEXICON = [
+  { theme: 'contradictions/tensions', triggers: ['contradiction', 'contradictory', 'tension', 'torn'] },
+  { theme: 'completion work', triggers: ['completion', 'unfinished', 'closure'] },
+  { theme: 'fragmentation', triggers: ['fragment', 'fragmented', 'fragmentation', 'scattered'] },
+  { theme: 'integration', triggers: ['integration', 'integrate', 'integrating'] }
+].map(entry => ({ ...entry, triggers: new Set(entry.triggers.flatMap(word => tokenize(word))) }));
+
+export function themeTerms(name) {
+  return [...new Set(tokenize(String(name || '')))];
+}
+
+export function themeKey(name) {
+  return themeTerms(name).join('-').substring(0, MAX_KEY_LENGTH);
+}
+
+function appendLinked(list = [], id) {
+  return [...list.filter(existing => existing !== id), id].slice(-MAX_LINKED);
+}
+
+// A session missing from the capped sessionIds may still have been counted before, so it is
+// only a candidate; ThemeService.countSessions() decides against themeSessions
+function touch(entry, { sessionId, stage, timestamp }) {
+  if (!entry.firstSeenAt || timestamp < entry.firstSeenAt) entry.firstSeenAt = timestamp;
+  if (!entry.lastSeenAt || timestamp > entry.lastSeenAt) entry.lastSeenAt = timestamp;
+  entry.frequency++;
+  if (sessionId) {
+    if (!entry.sessionIds.includes(sessionId)) {
+      entry.candidateSessions = (entry.candidateSessions || new Set()).add(sessionId);
+    }
+    entry.sessionIds = appendLinked(entry.sessionIds, sessionId);
+  }
+  if (stage) {
+    entry.stages[stage] = (entry.stages[stage] || 0) + 1;
+  }
+}
+
+function newEntry(key, theme, terms) {
+  return {
+    theme,
+    key,
+    terms,
+    lastDescription: null,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    frequency: 0,
+    recordCount: 0,
+    mentionCount: 0,
+    sessionCount: 0,
+    sessionIds: [],
+    breakthroughIds: [],
+    stages: {}
+  };
+}
+
+// The functions below update an in-memory index (Map of key -> entry) and return the keys
+// they changed, so incremental updates and rebuilds share the same rules.
+
+function applyThemeRecord(index, record) {
+  const name = record.theme || record.name;
+  const key = themeKey(name);
+  if (!key) return [];
+
+  const entry = index.get(key) || newEntry(key, name, themeTerms(name));
+  // The agent's wording wins over a lexicon name
+  entry.theme = name;
+  entry.recordCount++;
+  if (record.description) entry.lastDescription = record.description;
+  touch(entry, record);
+  index.set(key, entry);
+  return [key];
+}
+
+function mentionedKeys(index, text) {
+  const tokens = new Set(tokenize(text));
+  if (tokens.size === 0) return [];
+
+  const keys = [...index.values()]
+    .filter(entry => entry.terms.length > 0 && entry.terms.every(term => tokens.has(term)))
+    .map(entry => entry.key);
+
+  THEME_LEXICON.forEach(({ theme, triggers }) => {
+    if ([...triggers].some(term => tokens.has(term))) keys.push(themeKey(theme));
+  });
+  return [...new Set(keys)];
+}
+
+// Only the user's own words count as mentions
+function applyMessage(index, message) {
+  if (message.type !== 'user' || !message.content) return [];
+
+  const keys = mentionedKeys(index, message.content);
+  keys.forEach(key => {
+    if (!index.has(key)) {
+      const { theme } = THEME_LEXICON.find(entry => themeKey(entry.theme) === key);
+      index.set(key, newEntry(key, theme, themeTerms(theme)));
+    }
+    const entry = index.get(key);
+    entry.mentionCount++;
+    touch(entry, message);
+  });
+  return keys;
+}
+
+// A breakthrough is linked to the themes it mentions and to those already seen in its session
+function applyBreakthrough(index, breakthrough) {
+  const text = [breakthrough.description, breakthrough.insight, breakthrough.trigger].filter(Boolean).join(' ');
+  const mentioned = new Set(mentionedKeys(index, text).filter(key => index.has(key)));
+  const keys = [...index.values()]
+    .filter(entry => mentioned.has(entry.key) || entry.sessionIds.includes(breakthrough.sessionId))
+    .map(entry => entry.key);
+
+  keys.forEach(key => {
+    const entry = index.get(key);
+    entry.breakthroughIds = appendLinked(entry.breakthroughIds, breakthrough.id);
+  });
+  return keys;
+}
+
+// Order for display and for the profile: most sessions first, then most recently seen
+const byRecurrence = (a, b) =>
+  b.sessionCount - a.sessionCount || String(b.lastSeenAt).localeCompare(String(a.lastSeenAt));
+
+class ThemeService {
+  constructor(storage) {
+    this.storage = storage;
+    this.queue = new KeyedQueue();
+  }
+
+  indexPath(userUUID) {
+    return ['users', userUUID, 'themeIndex'];
+  }
+
+  membershipPath(userUUID) {
+    return ['users', userUUID, 'themeSessions'];
+  }
+
+  async loadIndex(userUUID) {
+    const entries = await this.storage.queryDocs(this.indexPath(userUUID));
+    return new Map(entries.map(({ id, ...entry }) => [entry.key || id, entry]));
+  }
+
+  async saveEntries(userUUID, index, keys) {
+    const updatedAt = new Date().toISOString();
+    for (const key of new Set(keys)) {
+      const { candidateSessions, ...entry } = index.get(key);
+      await this.storage.setDoc([...this.indexPath(userUUID), key], { ...entry, updatedAt });
+    }
+  }
+
+  // Adds the sessions the changed entries came up in for the first time to their sessionCount
+  async countSessions(userUUID, index, keys) {
+    const linkedAt = new Date().toISOString();
+    for (const key of new Set(keys)) {
+      const entry = index.get(key);
+      for (const sessionId of entry.candidateSessions || []) {
+        const created = await this.storage.createDoc([...this.membershipPath(userUUID), `${key}:${sessionId}`], {
+          key,
+          sessionId,
+          linkedAt
+        });
+        if (created) entry.sessionCount++;
+      }
+    }
+  }
+
+  async recordTheme(userUUID, record) {
+    return this.update(userUUID, index => applyThemeRecord(index, record));
+  }
+
+  async recordMessage(userUUID, message) {
+    if (message.type !== 'user') return;
+    return this.update(userUUID, index => applyMessage(index, message));
+  }
+
+  // Several messages in one index update, e.g. a whole call transcript
+  async recordMessages(userUUID, messages) {
+    return this.update(userUUID, index => [...new Set(messages.flatMap(message => applyMessage(index, message)))]);
+  }
+
+  async recordBreakthrough(userUUID, breakthrough) {
+    return this.update(userUUID, index => applyBreakthrough(index, breakthrough));
+  }
+
+  async update(userUUID, apply) {
+    return this.queue.run(userUUID, async () => {
+      const index = await this.loadIndex(userUUID);
+      const changed = apply(index);
+      if (changed.length === 0) return;
+
+      await this.countSessions(userUUID, index, changed);
+      await this.saveEntries(userUUID, index, changed);
+      await this.syncProfile(userUUID, index);
+    });
+  }
+
+  // Writes the most recurring theme names to the profile when they changed
+  async syncProfile(userUUID, index) {
+    const recurring = [...index.values()]
+      .filter(entry => entry.sessionCount >= RECURRING_MIN_SESSIONS)
+      .sort(byRecurrence)
+      .slice(0, PROFILE_THEME_COUNT)
+      .map(entry => entry.theme);
+
+    const profile = await this.storage.getDoc(['users', userUUID]);
+    if (JSON.stringify(profile?.recurring_themes || []) === JSON.stringify(recurring)) {
+      return;
+    }
+    await this.storage.setDoc(['users', userUUID], { recurring_themes: recurring }, { merge: true });
+  }
+
+  // Recomputes the index from the user's theme records, messages and breakthroughs
+  async rebuildIndex(userUUID) {
+    return this.queue.run(userUUID, () => this.rebuild(userUUID));
+  }
+
+  async rebuild(userUUID) {
+    const events = [];
+    for (const sessionId of await discoverSessionIds(this.storage, userUUID)) {
+      const sessionPath = ['users', userUUID, 'sessions', sessionId];
+      (await this.storage.queryDocs([...sessionPath, 'themes']))
+        .forEach(record => events.push({ apply: applyThemeRecord, record: { ...record, sessionId } }));
+      (await this.storage.queryDocs([...sessionPath, 'breakthroughs']))
+        .forEach(record => events.push({ apply: applyBreakthrough, record: { ...record, sessionId } }));
+    }
+    (await this.storage.queryDocs(['users', userUUID, 'conversations'], { where: [['type', '==', 'user']] }))
+      .forEach(record => events.push({ apply: applyMessage, record }));
+
+    events.sort((a, b) => String(a.record.timestamp).localeCompare(String(b.record.timestamp)));
+    const index = new Map();
+    events.forEach(({ apply, record }) => apply(index, record));
+
+    for (const collectionPath of [this.indexPath(userUUID), this.membershipPath(userUUID)]) {
+      const existing = await this.storage.queryDocs(collectionPath);
+      await this.storage.deleteDocs(existing.map(docData => [...collectionPath, docData.id]));
+    }
+    await this.countSessions(userUUID, index, [...index.keys()]);
+    await this.saveEntries(userUUID, index, [...index.keys()]);
+    await this.syncProfile(userUUID, index);
+
+    console.log(`✅ Rebuilt theme index for user ${userUUID}: ${index.size} themes from ${events.length} records`);
+    return { themes: index.size, records: events.length };
+  }
+
+  // Indexed themes, most recurring first, with how many of the user's last `recentSessions`
+  // sessions each came up in
+  async getThemes(userUUID, { limit = 20, recentSessions = DEFAULT_RECENT_SESSIONS } = {}) {
+    const index = await this.loadIndex(userUUID);
+    const sessions = await this.storage.queryDocs(['users', userUUID, 'sessions'], {
+      orderBy: { field: 'startedAt', direction: 'desc' },
+      limit: recentSessions + 1
+    });
+    // A session in progress where no theme has come up yet says nothing about recurrence
+    const linked = new Set([...index.values()].flatMap(entry => entry.sessionIds));
+    const recentIds = sessions
+      .filter((session, position) => position > 0 || session.status !== 'active' || linked.has(session.id))
+      .slice(0, recentSessions)
+      .map(session => session.id);
+
+    return [...index.values()]
+      .map(entry => {
+        const appearedIn = recentIds.filter(id => entry.sessionIds.includes(id)).length;
+        return {
+          theme: entry.theme,
+          key: entry.key,
+          description: entry.lastDescription,
+          firstSeenAt: entry.firstSeenAt,
+          lastSeenAt: entry.lastSeenAt,
+          frequency: entry.frequency,
+          recordCount: entry.recordCount,
+          mentionCount: entry.mentionCount,
+          sessionCount: entry.sessionCount,
+          recurring: entry.sessionCount >= RECURRING_MIN_SESSIONS,
+          recentSessions: { considered: recentIds.length, appearedIn },
+          recurrence: describeRecurrence(appearedIn, recentIds.length, entry.sessionCount),
+          stages: entry.stages,
+          sessionIds: entry.sessionIds,
+          breakthroughIds: entry.breakthroughIds
+        };
+      })
+      .sort((a, b) => b.recentSessions.appearedIn - a.recentSessions.appearedIn || byRecurrence(a, b))
+      .slice(0, limit);
+  }
+}
+
+// e.g. "came up in 3 of the last 4 sessions"
+export function describeRecurrence(appearedIn, considered, sessionCount) {
+  if (considered === 1 && appearedIn === 1) {
+    return 'came up in the last session';
+  }
+  if (considered > 1 && appearedIn > 0) {
+    return appearedIn === considered
+      ? `came up in each of the last ${considered} sessions`
+      : `came up in ${appearedIn} of the last ${considered} sessions`;
+  }
+  if (sessionCount > 0) {
+    return `came up in ${sessionCount} earlier session${sessionCount === 1 ? '' : 's'}`;
+  }
+  return 'mentioned outside a session';
+}
+
+export default ThemeService;
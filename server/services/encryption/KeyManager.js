@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+
+// Envelope encryption keys.
+//
+// Every user gets their own data encryption key (DEK) stored at users/{uid}/keys/dek, wrapped
+// (AES-256-GCM) by the master key from MEMORY_MASTER_KEY. The master key never touches
+// storage, so a leaked database only contains wrapped keys and ciphertext. Deleting the key
+// document makes that user's remaining ciphertext unreadable.
+//
+// A key document holds every DEK version the user has had:
+//   { currentVersion, keys: { [version]: { wrappedKey, iv, tag, masterKeyId, createdAt, retiredAt } } }
+// Ciphertext records its DEK version, so values written before a DEK rotation still decrypt.
+// Master keys are identified by a hash; retired master keys listed in
+// MEMORY_PREVIOUS_MASTER_KEYS can still unwrap DEKs until `npm run rotate-keys` rewraps them.
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+
+// Cached DEKs are reloaded after this long so other processes' rotations are picked up
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Accepts a 32 byte key as base64 or hex
+export function parseMasterKey(value) {
+  const trimmed = String(value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Master key must be ${KEY_BYTES} bytes encoded as base64 or hex`);
+  }
+  return key;
+}
+
+export function masterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+export function encryptBuffer(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+export function decryptBuffer(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+class KeyManager {
+  // storage must be the underlying (unencrypted) adapter
+  constructor(storage, masterKey, previousMasterKeys = []) {
+    this.storage = storage;
+    this.masterKey = masterKey;
+    this.masterKeyId = masterKeyId(masterKey);
+    this.masterKeys = new Map(
+      [masterKey, ...previousMasterKeys].map(key => [masterKeyId(key), key])
+    );
+    // uid -> { currentVersion, keys: Map(version -> Buffer), loadedAt }
+    this.cache = new Map();
+  }
+
+  keyDocPath(userUUID) {
+    return ['users', userUUID, 'keys', 'dek'];
+  }
+
+  wrap(userUUID, dek) {
+    const { iv, tag, ciphertext } = encryptBuffer(this.masterKey, dek, userUUID);
+    return {
+      wrappedKey: ciphertext.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      masterKeyId: this.masterKeyId
+    };
+  }
+
+  unwrap(userUUID, entry) {
+    const masterKey = this.masterKeys.get(entry.masterKeyId);
+    if (!masterKey) {
+      throw new Error(`Data key for user ${userUUID} is wrapped by unknown master key ${entry.masterKeyId}`);
+    }
+    return decryptBuffer(masterKey, {
+      iv: Buffer.from(entry.iv, 'base64'),
+      tag: Buffer.from(entry.tag, 'base64'),
+      ciphertext: Buffer.from(entry.wrappedKey, 'base64')
+    }, userUUID);
+  }
+
+  newKeyEntry(userUUID) {
+    return { ...this.wrap(userUUID, crypto.randomBytes(KEY_BYTES)), createdAt: new Date().toISOString(), retiredAt: null };
+  }
+
+  async loadKeys(userUUID, { create = false } = {}) {
+    let keyDoc = await this.storage.getDoc(this.keyDocPath(userUUID));
+
+    if (!keyDoc && create) {
+      const created = { currentVersion: 1, keys: { 1: this.newKeyEntry(userUUID) }, updatedAt: new Date().toISOString() };
+      // Another request may create the key at the same time; whoever wins, everyone uses theirs
+      await this.storage.createDoc(this.keyDocPath(userUUID), created);
+      keyDoc = await this.storage.getDoc(this.keyDocPath(userUUID));
+    }
+    if (!keyDoc) {
+      return null;
+    }
+
+    const keys = new Map(
+      Object.entries(keyDoc.keys).map(([version, entry]) => [Number(version), this.unwrap(userUUID, entry)])
+    );
+    const loaded = { currentVersion: keyDoc.currentVersion, keys, loadedAt: Date.now() };
+    this.cache.set(userUUID, loaded);
+    return loaded;
+  }
+
+  async getKeys(userUUID, options = {}) {
+    const cached = this.cache.get(userUUID);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached;
+    }
+    return this.loadKeys(userUUID, options);
+  }
+
+  // Key for new writes; creates the user's first DEK when needed
+  async getCurrentKey(userUUID) {
+    const { currentVersion, keys } = await this.getKeys(userUUID, { create: true });
+    return { version: currentVersion, key: keys.get(currentVersion) };
+  }
+
+  async getKey(userUUID, version) {
+    let loaded = await this.getKeys(userUUID);
+    if (!loaded?.keys.has(version)) {
+      // Possibly rotated by another process since we cached it
+      loaded = await this.loadKeys(userUUID);
+    }
+    const key = loaded?.keys.get(version);
+    if (!key) {
+      throw new Error(`Data key version ${version} for user ${userUUID} not found`);
+    }
+    return key;
+  }
+
+  forget(userUUID) {
+    this.cache.delete(userUUID);
+  }
+
+  // Re-wraps every DEK version under the current master key. Returns the number rewrapped.
+  async rewrapUserKeys(userUUID) {
+    const keyDoc = await this.storage.getDoc(this.keyDocPath(userUUID));
+    if (!keyDoc) {
+      return 0;
+    }
+
+    let rewrapped = 0;
+    const keys = {};
+    for (const [version, entry] of Object.entries(keyDoc.keys)) {
+      if (entry.masterKeyId === this.masterKeyId) {
+        keys[version] = entry;
+        continue;
+      }
+      keys[version] = { ...entry, ...this.wrap(userUUID, this.unwrap(userUUID, entry)) };
+      rewrapped++;
+    }
+
+    if (rewrapped > 0) {
+      await this.storage.setDoc(this.keyDocPath(userUUID), { ...keyDoc, keys, updatedAt: new Date().toISOString() });
+      this.forget(userUUID);
+    }
+    return rewrapped;
+  }
+
+  // Adds a fresh DEK version and makes it current. Older versions stay (retired) so
+  // existing ciphertext keeps decrypting until it is re-encrypted.
+  async rotateUserKey(userUUID) {
+    const keyDoc = await this.storage.getDoc(this.keyDocPath(userUUID));
+    if (!keyDoc) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const currentVersion = Math.max(...Object.keys(keyDoc.keys).map(Number)) + 1;
+    const keys = Object.fromEntries(
+      Object.entries(keyDoc.keys).map(([version, entry]) => [version, { ...entry, retiredAt: entry.retiredAt || now }])
+    );
+    keys[currentVersion] = this.newKeyEntry(userUUID);
+
+    await this.storage.setDoc(this.keyDocPath(userUUID), { currentVersion, keys, updatedAt: now });
+    this.forget(userUUID);
+    return currentVersion;
+  }
+}
+
+export default KeyManager;
@@ -0,0 +1,31 @@
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+// Lazily initialized firebase-admin app, used for server-side token verification.
+// Verifying ID tokens only needs the project ID; a service account is optional.
+let adminApp = null;
+
+export function getAdminApp() {
+  if (adminApp) {
+    return adminApp;
+  }
+
+  const existing = getApps().find(app => app.name === '[DEFAULT]');
+  if (existing) {
+    adminApp = existing;
+    return adminApp;
+  }
+
+  const options = { projectId: process.env.FIREBASE_PROJECT_ID };
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    options.credential = cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT));
+  }
+
+  adminApp = initializeApp(options);
+  console.log('✅ Firebase Admin initialized for project:', options.projectId);
+  return adminApp;
+}
+
+export function getAdminAuth() {
+  return getAuth(getAdminApp());
+}
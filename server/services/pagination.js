@@ -0,0 +1,110 @@
+// Cursor pagination over timestamp-ordered collections.
+//
+// A cursor records the timestamp of the last returned record plus the ids returned at
+// exactly that timestamp, so records sharing a timestamp are never skipped or repeated.
+// Cursors are opaque base64url strings to clients.
+//
+// The list routes (conversations, stages, context) originally answered with a bare array
+// honouring only ?limit=. They still do, so existing clients keep working; a request with
+// a paging parameter (before, after, from, to) or ?paginate=true gets the page envelope
+// { <items>, nextCursor } instead.
+
+export const MAX_PAGE_SIZE = 200;
+
+export class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+  }
+}
+
+export function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+export function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (typeof cursor.ts !== 'string' || !Array.isArray(cursor.ids)) {
+      throw new Error('malformed');
+    }
+    return cursor;
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new PaginationError(`${name} must be an ISO 8601 date-time`);
+  }
+  return new Date(time).toISOString();
+}
+
+const PAGE_PARAMS = ['before', 'after', 'from', 'to'];
+
+// Whether the client asked for the page envelope rather than the legacy bare array
+export function isPageRequest(query) {
+  return query.paginate === 'true' || PAGE_PARAMS.some(param => query[param] !== undefined);
+}
+
+// Turns ?limit=&before=&after=&from=&to= into page options, throwing PaginationError on bad input
+export function parsePageQuery(query, defaultLimit) {
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new PaginationError('limit must be a positive integer');
+  }
+  if (query.before && query.after) {
+    throw new PaginationError('before and after cannot be combined');
+  }
+
+  return {
+    limit: Math.min(limit, MAX_PAGE_SIZE),
+    before: query.before ? decodeCursor(query.before) : undefined,
+    after: query.after ? decodeCursor(query.after) : undefined,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to')
+  };
+}
+
+// Fetches one page from a timestamp-ordered collection.
+// Pages are always returned newest first; `before` walks back in time, `after` walks forward.
+// Returns { items, nextCursor } where nextCursor continues in the same direction (null at the end).
+export async function queryTimelinePage(storage, collectionPath, options = {}) {
+  const { limit = 50, before, after, from, to } = options;
+  const cursor = before || after;
+  const forward = Boolean(after);
+
+  const where = [];
+  if (from) where.push(['timestamp', '>=', from]);
+  if (to) where.push(['timestamp', '<=', to]);
+  if (cursor) where.push(['timestamp', forward ? '>=' : '<=', cursor.ts]);
+
+  // Over-fetch by the ids already seen at the cursor timestamp, plus one to detect more pages
+  const skipIds = new Set(cursor?.ids || []);
+  const docs = await storage.queryDocs(collectionPath, {
+    where,
+    orderBy: { field: 'timestamp', direction: forward ? 'asc' : 'desc' },
+    limit: limit + skipIds.size + 1
+  });
+
+  const remaining = docs.filter(docData => !(docData.timestamp === cursor?.ts && skipIds.has(docData.id)));
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  let nextCursor = null;
+  if (hasMore && page.length > 0) {
+    const lastTs = page[page.length - 1].timestamp;
+    const idsAtTs = page.filter(docData => docData.timestamp === lastTs).map(docData => docData.id);
+    // Still on the cursor's timestamp: carry forward the ids skipped on earlier pages
+    const ids = lastTs === cursor?.ts ? [...skipIds, ...idsAtTs] : idsAtTs;
+    nextCursor = encodeCursor({ ts: lastTs, ids });
+  }
+
+  return {
+    items: forward ? page.reverse() : page,
+    nextCursor
+  };
+}
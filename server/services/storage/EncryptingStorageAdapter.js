@@ -0,0 +1,175 @@
+import StorageAdapter from './StorageAdapter.js';
+import { encryptBuffer, decryptBuffer } from '../encryption/KeyManager.js';
+
+// Field-level encryption at rest, layered over any other adapter.
+//
+// Configured fields of documents under users/{uid}/... are encrypted with that user's data
+// key on every write and decrypted on every read, so services, tools and routes only ever
+// see plaintext. Encrypted values are strings of the form
+//   enc:v1:<dekVersion>:<iv>:<tag>:<ciphertext>
+// holding the JSON of the original value, bound to the user and field name. Documents
+// written before encryption was enabled are returned as they are.
+//
+// Encrypted fields cannot be used in query filters or ordering.
+const PREFIX = 'enc:v1:';
+
+// collection name -> fields, overridable with MEMORY_ENCRYPTED_FIELDS="collection.field,..."
+// Every free-text field a user's words can end up in is listed, and the payload hash of
+// idempotent messages, which would otherwise allow guessing short messages. Records written
+// before a field was added stay readable; `npm run rotate-keys -- --new-data-keys` encrypts them.
+export const DEFAULT_ENCRYPTED_FIELDS = [
+  'conversations.content',
+  'conversations.payloadHash',
+  'context.content',
+  'stages.trigger',
+  'stages.notes',
+  'breakthroughs.description',
+  'breakthroughs.insight',
+  'breakthroughs.trigger',
+  'themes.description',
+  'themeIndex.lastDescription',
+  'digests.summary',
+  'digests.keyTopics',
+  'digests.unresolvedThreads',
+  'digests.state',
+  'archive.record'
+];
+
+export function parseEncryptedFields(spec) {
+  const entries = Array.isArray(spec) ? spec : String(spec).split(',');
+  const fields = new Map();
+  for (const entry of entries.map(value => value.trim()).filter(Boolean)) {
+    const [collection, field] = entry.split('.');
+    if (!collection || !field) {
+      throw new Error(`Invalid encrypted field "${entry}", expected collection.field`);
+    }
+    fields.set(collection, [...(fields.get(collection) || []), field]);
+  }
+  return fields;
+}
+
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+class EncryptingStorageAdapter extends StorageAdapter {
+  constructor(inner, keyManager, fields = DEFAULT_ENCRYPTED_FIELDS) {
+    super(`${inner.name}+encrypted`);
+    this.inner = inner;
+    this.keyManager = keyManager;
+    this.fields = parseEncryptedFields(fields);
+  }
+
+  // users/{uid}/.../{collection}/{docId} -> { userUUID, fields }
+  target(path) {
+    if (path[0] !== 'users' || path.length < 4) {
+      return null;
+    }
+    return { userUUID: path[1], fields: this.fields.get(path[path.length - 2]) || [] };
+  }
+
+  async encryptDoc(path, data) {
+    const target = this.target(path);
+    const fields = (target?.fields || []).filter(field =>
+      data[field] !== undefined && data[field] !== null && !isEncryptedValue(data[field])
+    );
+    if (fields.length === 0) {
+      return data;
+    }
+
+    const { version, key } = await this.keyManager.getCurrentKey(target.userUUID);
+    const encrypted = { ...data };
+    for (const field of fields) {
+      const { iv, tag, ciphertext } = encryptBuffer(
+        key, Buffer.from(JSON.stringify(data[field])), `${target.userUUID}:${field}`
+      );
+      encrypted[field] = `${PREFIX}${version}:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+    }
+    return encrypted;
+  }
+
+  // Decrypts every encrypted field, including fields no longer in the configuration
+  async decryptDoc(path, data) {
+    const target = this.target(path);
+    if (!target || !data) {
+      return data;
+    }
+
+    const decrypted = { ...data };
+    for (const [field, value] of Object.entries(data)) {
+      if (!isEncryptedValue(value)) {
+        continue;
+      }
+      const [version, iv, tag, ciphertext] = value.substring(PREFIX.length).split(':');
+      const key = await this.keyManager.getKey(target.userUUID, Number(version));
+      const plaintext = decryptBuffer(key, {
+        iv: Buffer.from(iv, 'base64'),
+        tag: Buffer.from(tag, 'base64'),
+        ciphertext: Buffer.from(ciphertext, 'base64')
+      }, `${target.userUUID}:${field}`);
+      decrypted[field] = JSON.parse(plaintext.toString());
+    }
+    return decrypted;
+  }
+
+  async healthCheck() {
+    return { ...(await this.inner.healthCheck()), encryption: 'enabled' };
+  }
+
+  async getDoc(path) {
+    return this.decryptDoc(path, await this.inner.getDoc(path));
+  }
+
+  async setDoc(path, data, options = {}) {
+    return this.inner.setDoc(path, await this.encryptDoc(path, data), options);
+  }
+
+  async addDoc(collectionPath, data) {
+    // Ids are generated by the inner adapter, but the target only depends on the collection
+    return this.inner.addDoc(collectionPath, await this.encryptDoc([...collectionPath, ''], data));
+  }
+
+  async createDoc(path, data) {
+    return this.inner.createDoc(path, await this.encryptDoc(path, data));
+  }
+
+  async queryDocs(collectionPath, options = {}) {
+    const docs = await this.inner.queryDocs(collectionPath, options);
+    return Promise.all(docs.map(async ({ id, ...data }) => ({
+      id,
+      ...(await this.decryptDoc([...collectionPath, id], data))
+    })));
+  }
+
+  async queryCollectionGroup(collectionId, parentPath, options = {}) {
+    const docs = await this.inner.queryCollectionGroup(collectionId, parentPath, options);
+    return Promise.all(docs.map(async ({ id, path, ...data }) => ({
+      id,
+      path,
+      ...(await this.decryptDoc(path, data))
+    })));
+  }
+
+  // Dropping a user's key document must also drop the cached key, or new writes
+  // would be encrypted with a key that no longer exists
+  forgetDeletedKeys(paths) {
+    for (const path of paths) {
+      if (path.length === 4 && path[0] === 'users' && path[2] === 'keys') {
+        this.keyManager.forget(path[1]);
+      }
+    }
+  }
+
+  async deleteDoc(path) {
+    await this.inner.deleteDoc(path);
+    this.forgetDeletedKeys([path]);
+  }
+
+  async deleteDocs(paths) {
+    const deleted = await this.inner.deleteDocs(paths);
+    this.forgetDeletedKeys(paths);
+    return deleted;
+  }
+}
+
+export default EncryptingStorageAdapter;
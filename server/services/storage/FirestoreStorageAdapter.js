@@ -0,0 +1,138 @@
+import { initializeApp, getApps } from 'firebase/app';
+import {
+  getFirestore, collection, collectionGroup, doc, setDoc, getDoc, getDocs, query, orderBy, limit, where, deleteDoc,
+  writeBatch, runTransaction, documentId
+} from 'firebase/firestore';
+import firebaseConfig from '../../firebase-config.js';
+import StorageAdapter, { DOCUMENT_ID } from './StorageAdapter.js';
+
+function fieldPath(field) {
+  return field === DOCUMENT_ID ? documentId() : field;
+}
+
+// Firestore allows at most 500 operations per batch
+const BATCH_LIMIT = 500;
+
+class FirestoreStorageAdapter extends StorageAdapter {
+  constructor(config = firebaseConfig) {
+    super('firebase');
+
+    if (!config.projectId) {
+      throw new Error('Firebase projectId is not configured');
+    }
+
+    try {
+      // Initialize Firebase only if not already initialized
+      if (getApps().length === 0) {
+        this.app = initializeApp(config);
+        console.log('✅ Firebase app initialized');
+      } else {
+        this.app = getApps()[0];
+        console.log('✅ Using existing Firebase app');
+      }
+
+      this.db = getFirestore(this.app);
+      console.log('✅ Firestore database connected');
+    } catch (error) {
+      console.error('❌ Firebase initialization error:', error);
+      throw error;
+    }
+  }
+
+  async healthCheck() {
+    try {
+      // Test Firestore connection by reading a test document
+      await getDoc(doc(this.db, 'health', 'test'));
+      return { status: 'healthy', service: this.name };
+    } catch (error) {
+      console.error('Firebase health check failed:', error);
+      return { status: 'unhealthy', service: this.name, error: error.message };
+    }
+  }
+
+  async getDoc(path) {
+    const snapshot = await getDoc(doc(this.db, ...path));
+    return snapshot.exists() ? snapshot.data() : null;
+  }
+
+  async setDoc(path, data, options = {}) {
+    await setDoc(doc(this.db, ...path), data, { merge: options.merge === true });
+  }
+
+  async addDoc(collectionPath, data) {
+    const ref = doc(collection(this.db, ...collectionPath));
+    await setDoc(ref, data);
+    return ref.id;
+  }
+
+  async createDoc(path, data) {
+    const ref = doc(this.db, ...path);
+    return runTransaction(this.db, async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (snapshot.exists()) {
+        return false;
+      }
+      transaction.set(ref, data);
+      return true;
+    });
+  }
+
+  async queryDocs(collectionPath, options = {}) {
+    const constraints = [];
+
+    for (const [field, op, value] of options.where || []) {
+      constraints.push(where(fieldPath(field), op, value));
+    }
+    if (options.orderBy) {
+      constraints.push(orderBy(fieldPath(options.orderBy.field), options.orderBy.direction || 'asc'));
+    }
+    if (options.limit) {
+      constraints.push(limit(options.limit));
+    }
+
+    const snapshot = await getDocs(query(collection(this.db, ...collectionPath), ...constraints));
+    const docs = [];
+    snapshot.forEach((docSnap) => {
+      docs.push({ id: docSnap.id, ...docSnap.data() });
+    });
+    return docs;
+  }
+
+  async queryCollectionGroup(collectionId, parentPath, options = {}) {
+    // Document keys compare segment by segment, so everything below users/u1 sorts between
+    // users/u1 and users/u1\u0000 (and users/u10 does not)
+    const parent = parentPath.join('/');
+    const constraints = [
+      where(documentId(), '>', parent),
+      where(documentId(), '<', `${parent}\u0000`)
+    ];
+    for (const [field, op, value] of options.where || []) {
+      constraints.push(where(field, op, value));
+    }
+    if (options.limit) {
+      constraints.push(limit(options.limit));
+    }
+
+    const snapshot = await getDocs(query(collectionGroup(this.db, collectionId), ...constraints));
+    const docs = [];
+    snapshot.forEach((docSnap) => {
+      docs.push({ id: docSnap.id, path: docSnap.ref.path.split('/'), ...docSnap.data() });
+    });
+    return docs;
+  }
+
+  async deleteDoc(path) {
+    await deleteDoc(doc(this.db, ...path));
+  }
+
+  async deleteDocs(paths) {
+    for (let i = 0; i < paths.length; i += BATCH_LIMIT) {
+      const batch = writeBatch(this.db);
+      paths.slice(i, i + BATCH_LIMIT).forEach(path => batch.delete(doc(this.db, ...path)));
+      await batch.commit();
+    }
+    return paths.length;
+  }
+}
+
+export default FirestoreStorageAdapter;
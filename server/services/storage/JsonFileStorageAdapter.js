@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+
+// In-memory store that is loaded from and written back to a single JSON file.
+// Good enough for local development and small single-process deployments.
+class JsonFileStorageAdapter extends MemoryStorageAdapter {
+  constructor(filePath) {
+    super('json');
+    this.filePath = path.resolve(filePath);
+    this.writeQueue = Promise.resolve();
+    this.pendingWrite = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      console.log('ℹ️ No memory store file yet, starting empty:', this.filePath);
+      return;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const [collectionKey, docs] of Object.entries(raw.collections || {})) {
+      this.collections.set(collectionKey, new Map(Object.entries(docs)));
+    }
+    console.log(`✅ Loaded ${this.collections.size} collections from ${this.filePath}`);
+  }
+
+  // Writes go through one promise chain so they never overlap. A write that is still
+  // queued picks up every change made before it starts, so a burst of changes costs at
+  // most two file writes. The returned promise settles once the change is on disk.
+  onChange() {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writeQueue.then(() => {
+        this.pendingWrite = null;
+        return this.writeFile();
+      });
+      this.writeQueue = this.pendingWrite.catch(error => {
+        console.error('❌ Failed to write memory store:', error);
+      });
+    }
+    return this.pendingWrite;
+  }
+
+  async writeFile() {
+    const collections = {};
+    for (const [collectionKey, docs] of this.collections) {
+      collections[collectionKey] = Object.fromEntries(docs);
+    }
+    const contents = JSON.stringify({ collections });
+
+    // Write to a temp file first so a crash never leaves a truncated store behind
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, contents);
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  // Resolves once every queued write has finished
+  flush() {
+    return this.writeQueue;
+  }
+
+  async healthCheck() {
+    try {
+      fs.accessSync(path.dirname(this.filePath), fs.constants.W_OK);
+      return { status: 'healthy', service: this.name, file: this.filePath };
+    } catch (error) {
+      return { status: 'unhealthy', service: this.name, error: error.message };
+    }
+  }
+}
+
+export default JsonFileStorageAdapter;
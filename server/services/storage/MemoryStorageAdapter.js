@@ -0,0 +1,164 @@
+import { randomBytes } from 'crypto';
+import StorageAdapter, { DOCUMENT_ID } from './StorageAdapter.js';
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Firestore-style 20 character auto id
+export function generateId() {
+  const bytes = randomBytes(20);
+  let id = '';
+  for (const byte of bytes) {
+    id += ID_ALPHABET[byte % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Mirrors Firestore's setDoc(..., { merge: true }) which merges nested maps
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+function fieldValue(docData, field) {
+  return field === DOCUMENT_ID ? docData.id : docData[field];
+}
+
+function matches(docData, [field, op, value]) {
+  const actual = fieldValue(docData, field);
+  switch (op) {
+    case '==': return actual === value;
+    case '!=': return actual !== value;
+    case '<': return actual !== undefined && compare(actual, value) < 0;
+    case '<=': return actual !== undefined && compare(actual, value) <= 0;
+    case '>': return actual !== undefined && compare(actual, value) > 0;
+    case '>=': return actual !== undefined && compare(actual, value) >= 0;
+    case 'in': return Array.isArray(value) && value.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function applyQuery(results, options) {
+  results = results.filter(docData => (options.where || []).every(clause => matches(docData, clause)));
+
+  if (options.orderBy) {
+    const { field, direction = 'asc' } = options.orderBy;
+    // Firestore excludes documents that lack the ordered field
+    results = results.filter(docData => fieldValue(docData, field) !== undefined);
+    results.sort((a, b) => {
+      const [first, second] = direction === 'desc' ? [b, a] : [a, b];
+      return compare(fieldValue(first, field), fieldValue(second, field));
+    });
+  }
+
+  return options.limit ? results.slice(0, options.limit) : results;
+}
+
+// Keeps every document in process memory. Used for offline development, tests and
+// as the degraded fallback when Firestore cannot be initialized.
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor(name = 'memory') {
+    super(name);
+    // collection path -> Map(docId -> data)
+    this.collections = new Map();
+  }
+
+  collectionKey(collectionPath) {
+    return collectionPath.join('/');
+  }
+
+  splitDocPath(path) {
+    return [this.collectionKey(path.slice(0, -1)), path[path.length - 1]];
+  }
+
+  async getDoc(path) {
+    const [collectionKey, id] = this.splitDocPath(path);
+    const data = this.collections.get(collectionKey)?.get(id);
+    return data ? structuredClone(data) : null;
+  }
+
+  async setDoc(path, data, options = {}) {
+    const [collectionKey, id] = this.splitDocPath(path);
+    if (!this.collections.has(collectionKey)) {
+      this.collections.set(collectionKey, new Map());
+    }
+
+    const docs = this.collections.get(collectionKey);
+    const existing = docs.get(id);
+    const copy = structuredClone(data);
+    docs.set(id, options.merge && existing ? deepMerge(existing, copy) : copy);
+    await this.onChange();
+  }
+
+  async addDoc(collectionPath, data) {
+    const id = generateId();
+    await this.setDoc([...collectionPath, id], data);
+    return id;
+  }
+
+  async createDoc(path, data) {
+    // Check and write happen without yielding, so this is atomic within the process
+    const [collectionKey, id] = this.splitDocPath(path);
+    if (this.collections.get(collectionKey)?.has(id)) {
+      return false;
+    }
+    await this.setDoc(path, data);
+    return true;
+  }
+
+  async queryDocs(collectionPath, options = {}) {
+    const docs = this.collections.get(this.collectionKey(collectionPath));
+    if (!docs) {
+      return [];
+    }
+
+    return applyQuery([...docs.entries()].map(([id, data]) => ({ id, ...structuredClone(data) })), options);
+  }
+
+  async queryCollectionGroup(collectionId, parentPath, options = {}) {
+    const prefix = `${this.collectionKey(parentPath)}/`;
+    const results = [];
+    for (const [collectionKey, docs] of this.collections) {
+      const segments = collectionKey.split('/');
+      if (!collectionKey.startsWith(prefix) || segments[segments.length - 1] !== collectionId) {
+        continue;
+      }
+      for (const [id, data] of docs) {
+        results.push({ id, path: [...segments, id], ...structuredClone(data) });
+      }
+    }
+    return applyQuery(results, options);
+  }
+
+  async deleteDoc(path) {
+    const [collectionKey, id] = this.splitDocPath(path);
+    const docs = this.collections.get(collectionKey);
+    if (docs?.delete(id)) {
+      if (docs.size === 0) {
+        this.collections.delete(collectionKey);
+      }
+      await this.onChange();
+    }
+  }
+
+  // Hook for subclasses that persist the in-memory state; writes wait for its promise
+  onChange() {}
+}
+
+export default MemoryStorageAdapter;
@@ -0,0 +1,67 @@
+// Base class for memory storage backends.
+//
+// Adapters expose a small Firestore-shaped document store. Paths are arrays of
+// segments, e.g. ['users', uid] for a document and ['users', uid, 'conversations']
+// for a collection. FirebaseMemoryService builds every record type on top of these
+// methods, so a new backend only has to implement this interface.
+// Field name that refers to the document id in where and orderBy clauses (Firestore's
+// own name for it), e.g. to page through a collection in id order
+export const DOCUMENT_ID = '__name__';
+
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', service: this.name };
+  }
+
+  // Returns the document data, or null if it does not exist
+  async getDoc(path) {
+    throw new Error(`${this.name} adapter does not implement getDoc`);
+  }
+
+  // Writes a document; with { merge: true } nested objects are merged into the existing data
+  async setDoc(path, data, options = {}) {
+    throw new Error(`${this.name} adapter does not implement setDoc`);
+  }
+
+  // Creates a document with a generated id and returns that id
+  async addDoc(collectionPath, data) {
+    throw new Error(`${this.name} adapter does not implement addDoc`);
+  }
+
+  // Writes a document only if it does not exist yet. Returns true if it was created.
+  async createDoc(path, data) {
+    throw new Error(`${this.name} adapter does not implement createDoc`);
+  }
+
+  // Returns [{ id, ...data }] for the collection.
+  // options: { where: [[field, op, value]], orderBy: { field, direction }, limit }
+  // where and orderBy accept DOCUMENT_ID as the field.
+  async queryDocs(collectionPath, options = {}) {
+    throw new Error(`${this.name} adapter does not implement queryDocs`);
+  }
+
+  // Collection group query: every collection named collectionId at any depth below the
+  // document at parentPath. Returns [{ id, path, ...data }] with each document's full path.
+  // options: { where: [[field, op, value]], limit }
+  async queryCollectionGroup(collectionId, parentPath, options = {}) {
+    throw new Error(`${this.name} adapter does not implement queryCollectionGroup`);
+  }
+
+  async deleteDoc(path) {
+    throw new Error(`${this.name} adapter does not implement deleteDoc`);
+  }
+
+  // Deletes many documents, returns the number deleted
+  async deleteDocs(paths) {
+    for (const path of paths) {
+      await this.deleteDoc(path);
+    }
+    return paths.length;
+  }
+}
+
+export default StorageAdapter;
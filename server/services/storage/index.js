@@ -0,0 +1,76 @@
+import FirestoreStorageAdapter from './FirestoreStorageAdapter.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+import JsonFileStorageAdapter from './JsonFileStorageAdapter.js';
+import EncryptingStorageAdapter, { DEFAULT_ENCRYPTED_FIELDS, parseEncryptedFields } from './EncryptingStorageAdapter.js';
+import KeyManager, { parseMasterKey } from '../encryption/KeyManager.js';
+
+export { default as StorageAdapter, DOCUMENT_ID } from './StorageAdapter.js';
+export { FirestoreStorageAdapter, MemoryStorageAdapter, JsonFileStorageAdapter, EncryptingStorageAdapter };
+
+// Storage configuration that must stop startup rather than be worked around, e.g. a
+// malformed MEMORY_MASTER_KEY: falling back would silently store data unencrypted
+export class StorageConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConfigError';
+  }
+}
+
+// Parses MEMORY_MASTER_KEY, MEMORY_PREVIOUS_MASTER_KEYS and MEMORY_ENCRYPTED_FIELDS.
+// Returns null when encryption is not configured; throws StorageConfigError when it is invalid.
+export function loadEncryptionConfig(env = process.env) {
+  if (!env.MEMORY_MASTER_KEY) {
+    return null;
+  }
+
+  try {
+    const fields = env.MEMORY_ENCRYPTED_FIELDS || DEFAULT_ENCRYPTED_FIELDS;
+    parseEncryptedFields(fields);
+    return {
+      masterKey: parseMasterKey(env.MEMORY_MASTER_KEY),
+      previousKeys: (env.MEMORY_PREVIOUS_MASTER_KEYS || '').split(',').filter(Boolean).map(parseMasterKey),
+      fields
+    };
+  } catch (error) {
+    throw new StorageConfigError(`Invalid encryption configuration: ${error.message}`);
+  }
+}
+
+// Wraps a backend with field-level encryption (see EncryptingStorageAdapter)
+export function withEncryption(storage, config = loadEncryptionConfig()) {
+  const keyManager = new KeyManager(storage, config.masterKey, config.previousKeys);
+  return new EncryptingStorageAdapter(storage, keyManager, config.fields);
+}
+
+// Select the storage backend with MEMORY_STORAGE=firestore|memory|json.
+// The json backend writes to MEMORY_STORAGE_PATH (default ./data/memory-store.json).
+// Sensitive fields are encrypted at rest whenever MEMORY_MASTER_KEY is set. The encryption
+// settings are checked before the backend is created, so a bad key is always reported.
+export function createStorageAdapter(type = process.env.MEMORY_STORAGE || 'firestore') {
+  const encryption = loadEncryptionConfig();
+  const storage = createBackend(type);
+
+  if (encryption) {
+    return withEncryption(storage, encryption);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    console.warn('⚠️ MEMORY_MASTER_KEY not set - memory content is stored unencrypted');
+  }
+  return storage;
+}
+
+function createBackend(type) {
+  switch (type) {
+    case 'firestore':
+    case 'firebase':
+      return new FirestoreStorageAdapter();
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'json':
+      return new JsonFileStorageAdapter(process.env.MEMORY_STORAGE_PATH || './data/memory-store.json');
+    default:
+      throw new Error(`Unknown MEMORY_STORAGE backend: ${type}`);
+  }
+}
+
+export default createStorageAdapter;
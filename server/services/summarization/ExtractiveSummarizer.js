@@ -0,0 +1,168 @@
+import { tokenize } from '../SearchService.js';
+
+// Offline, incremental digest builder. It keeps running counts inside the digest so each
+// new message only costs a single pass over that message.
+//
+// Digest shape (shared with every summarizer):
+//   { summary, keyTopics: [string], unresolvedThreads: [{ text, raisedAt }],
+//     emotionalTone: { label, score }, lastStage, messageCount, lastMessageAt, state }
+// `state` holds summarizer-private bookkeeping and is not meant for display.
+
+const MAX_TRACKED_TOPICS = 200;
+const KEY_TOPIC_COUNT = 8;
+const MAX_OPEN_THREADS = 5;
+// Weight of the newest message in the running tone score
+const TONE_SMOOTHING = 0.3;
+
+const TONE_LEXICON = {
+  positive: ['better', 'calm', 'clear', 'glad', 'good', 'grateful', 'happy', 'hope', 'hopeful', 'lighter',
+    'love', 'peace', 'peaceful', 'proud', 'relieved', 'safe', 'thankful'],
+  negative: ['afraid', 'alone', 'angry', 'anxious', 'ashamed', 'awful', 'bad', 'depressed', 'empty', 'frustrated',
+    'guilty', 'hate', 'hopeless', 'hurt', 'lonely', 'lost', 'overwhelmed', 'panic', 'sad', 'scared', 'stressed',
+    'stuck', 'terrible', 'tired', 'upset', 'worried', 'worthless']
+};
+
+// Conversational filler that says nothing about the topic
+const FILLER_WORDS = new Set(tokenize(
+  'dont im ive feel felt know knew think thought like really thing things get got go going want need fine '
+  + 'yeah yes okay ok well maybe kind sort lot much even also still now today right guess mean though sure'
+));
+
+const UNCERTAINTY_MARKERS = [
+  "don't know", 'not sure', 'unsure', "can't decide", 'confused', 'wondering', "haven't figured",
+  'no idea', 'torn between', 'keep thinking about'
+];
+
+const RESOLUTION_MARKERS = [
+  'figured out', 'decided', 'resolved', 'makes sense now', 'understand now', 'realize now',
+  'i see now', 'worked it out', 'let it go', 'at peace with'
+];
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+function scoreTone(text) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let positive = 0;
+  let negative = 0;
+  words.forEach(word => {
+    if (TONE_LEXICON.positive.includes(word)) positive++;
+    if (TONE_LEXICON.negative.includes(word)) negative++;
+  });
+  const total = positive + negative;
+  return total === 0 ? null : (positive - negative) / total;
+}
+
+function toneLabel(score, observed) {
+  if (!observed) return 'neutral';
+  if (score > 0.25) return 'positive';
+  if (score < -0.25) return 'negative';
+  return 'mixed';
+}
+
+export function emptyDigest() {
+  return {
+    summary: '',
+    keyTopics: [],
+    unresolvedThreads: [],
+    emotionalTone: { label: 'neutral', score: 0 },
+    lastStage: null,
+    messageCount: 0,
+    lastMessageAt: null,
+    state: { topicCounts: {}, topicForms: {}, toneObserved: false }
+  };
+}
+
+class ExtractiveSummarizer {
+  constructor() {
+    this.name = 'extractive';
+  }
+
+  async update(previousDigest, messages) {
+    const digest = structuredClone(previousDigest || emptyDigest());
+    digest.state = { topicCounts: {}, topicForms: {}, toneObserved: false, ...digest.state };
+
+    for (const message of messages) {
+      const content = message.content || '';
+      digest.messageCount++;
+      digest.lastMessageAt = message.timestamp || digest.lastMessageAt;
+      if (message.stage) {
+        digest.lastStage = message.stage;
+      }
+
+      // Topics and tone come from what the user says, not the agent's reflections
+      if (message.type !== 'user') {
+        continue;
+      }
+
+      for (const word of content.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []) {
+        const [term] = tokenize(word);
+        if (!term || FILLER_WORDS.has(term)) continue;
+        digest.state.topicCounts[term] = (digest.state.topicCounts[term] || 0) + 1;
+        // Show topics as the user wrote them rather than as stems
+        digest.state.topicForms[term] = word.replace(/'s$|'/g, '');
+      }
+
+      const tone = scoreTone(content);
+      if (tone !== null) {
+        digest.emotionalTone.score = digest.state.toneObserved
+          ? (1 - TONE_SMOOTHING) * digest.emotionalTone.score + TONE_SMOOTHING * tone
+          : tone;
+        digest.state.toneObserved = true;
+      }
+
+      this.updateThreads(digest, content, message.timestamp);
+    }
+
+    // Only the most frequent terms are worth remembering
+    const topics = Object.entries(digest.state.topicCounts).sort((a, b) => b[1] - a[1]);
+    const tracked = topics.slice(0, MAX_TRACKED_TOPICS);
+    digest.state.topicCounts = Object.fromEntries(tracked);
+    digest.state.topicForms = Object.fromEntries(tracked.map(([term]) => [term, digest.state.topicForms[term] || term]));
+    digest.keyTopics = tracked.slice(0, KEY_TOPIC_COUNT).map(([term]) => digest.state.topicForms[term]);
+
+    digest.emotionalTone.score = Math.round(digest.emotionalTone.score * 100) / 100;
+    digest.emotionalTone.label = toneLabel(digest.emotionalTone.score, digest.state.toneObserved);
+    digest.summary = this.describe(digest);
+    return digest;
+  }
+
+  updateThreads(digest, content, timestamp) {
+    const lower = content.toLowerCase();
+
+    // A resolution closes any open thread that shares a topic with it
+    if (RESOLUTION_MARKERS.some(marker => lower.includes(marker))) {
+      const terms = new Set(tokenize(content));
+      digest.unresolvedThreads = digest.unresolvedThreads
+        .filter(thread => !tokenize(thread.text).some(term => terms.has(term)));
+    }
+
+    for (const sentence of splitSentences(content)) {
+      const sentenceLower = sentence.toLowerCase();
+      const isOpen = sentence.endsWith('?') || UNCERTAINTY_MARKERS.some(marker => sentenceLower.includes(marker));
+      if (isOpen && tokenize(sentence).length > 0) {
+        digest.unresolvedThreads.push({ text: sentence.substring(0, 200), raisedAt: timestamp || null });
+      }
+    }
+
+    digest.unresolvedThreads = digest.unresolvedThreads.slice(-MAX_OPEN_THREADS);
+  }
+
+  describe(digest) {
+    const parts = [`${digest.messageCount} messages`];
+    if (digest.keyTopics.length > 0) {
+      parts.push(`key topics: ${digest.keyTopics.join(', ')}`);
+    }
+    parts.push(`emotional tone: ${digest.emotionalTone.label}`);
+    if (digest.unresolvedThreads.length > 0) {
+      parts.push(`open threads: ${digest.unresolvedThreads.map(thread => `"${thread.text}"`).join('; ')}`);
+    }
+    if (digest.lastStage) {
+      parts.push(`last CSS stage: ${digest.lastStage}`);
+    }
+    return `${parts.join('. ')}.`;
+  }
+}
+
+export default ExtractiveSummarizer;
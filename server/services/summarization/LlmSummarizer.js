@@ -0,0 +1,81 @@
+import ExtractiveSummarizer from './ExtractiveSummarizer.js';
+
+// Digest builder backed by an OpenAI-compatible chat completions endpoint.
+// The model refines the extractive digest rather than replacing it, so counts and
+// bookkeeping stay exact; if the call fails the extractive digest is kept.
+class LlmSummarizer {
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.url = options.url || process.env.SUMMARIZER_LLM_URL || 'https://api.openai.com/v1/chat/completions';
+    this.apiKey = options.apiKey || process.env.SUMMARIZER_LLM_API_KEY;
+    this.model = options.model || process.env.SUMMARIZER_LLM_MODEL || 'gpt-4o-mini';
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.extractive = new ExtractiveSummarizer();
+
+    if (!this.apiKey) {
+      throw new Error('SUMMARIZER_LLM_API_KEY is required for the llm summarizer');
+    }
+  }
+
+  async update(previousDigest, messages) {
+    const digest = await this.extractive.update(previousDigest, messages);
+
+    try {
+      const refined = await this.complete(previousDigest, messages);
+      return {
+        ...digest,
+        summary: refined.summary || digest.summary,
+        keyTopics: Array.isArray(refined.keyTopics) ? refined.keyTopics.slice(0, 8) : digest.keyTopics,
+        unresolvedThreads: Array.isArray(refined.unresolvedThreads)
+          ? refined.unresolvedThreads.slice(0, 5).map(text => ({ text: String(text), raisedAt: null }))
+          : digest.unresolvedThreads,
+        emotionalTone: refined.emotionalTone
+          ? { ...digest.emotionalTone, label: String(refined.emotionalTone) }
+          : digest.emotionalTone
+      };
+    } catch (error) {
+      console.error('❌ LLM summarizer failed, keeping extractive digest:', error.message);
+      return digest;
+    }
+  }
+
+  async complete(previousDigest, messages) {
+    const transcript = messages
+      .map(message => `${message.type === 'user' ? 'User' : 'VASA'}: ${message.content || ''}`)
+      .join('\n');
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      signal: AbortSignal.timeout(this.timeoutMs),
+      body: JSON.stringify({
+        model: this.model,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: 'You maintain a rolling digest of a reflective voice conversation. Reply with JSON: '
+              + '{"summary": string (max 3 sentences), "keyTopics": string[], "unresolvedThreads": string[], '
+              + '"emotionalTone": "positive"|"negative"|"mixed"|"neutral"}.'
+          },
+          {
+            role: 'user',
+            content: `Previous digest: ${previousDigest?.summary || '(none)'}\n\nNew messages:\n${transcript}`
+          }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Summarizer endpoint returned ${response.status}`);
+    }
+
+    const body = await response.json();
+    return JSON.parse(body.choices[0].message.content);
+  }
+}
+
+export default LlmSummarizer;
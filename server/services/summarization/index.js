@@ -0,0 +1,20 @@
+import ExtractiveSummarizer from './ExtractiveSummarizer.js';
+import LlmSummarizer from './LlmSummarizer.js';
+
+export { ExtractiveSummarizer, LlmSummarizer };
+export { emptyDigest } from './ExtractiveSummarizer.js';
+
+// Select the summarizer with MEMORY_SUMMARIZER=extractive|llm.
+// A summarizer implements: async update(previousDigest, messages) -> digest
+export function createSummarizer(type = process.env.MEMORY_SUMMARIZER || 'extractive') {
+  switch (type) {
+    case 'extractive':
+      return new ExtractiveSummarizer();
+    case 'llm':
+      return new LlmSummarizer();
+    default:
+      throw new Error(`Unknown MEMORY_SUMMARIZER: ${type}`);
+  }
+}
+
+export default createSummarizer;
@@ -0,0 +1,63 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, expectError } from './helpers.js';
+
+// Response contracts of the API key administration routes
+
+const admin = bearer('root', { admin: true });
+
+describe('API key administration', () => {
+  let created;
+
+  test('POST /api/admin/api-keys creates a key and returns the plaintext once', async () => {
+    const response = await api().post('/api/admin/api-keys').set('Authorization', admin)
+      .send({ name: 'voice agent', scopes: ['tools:read', 'tools:write'] });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.success, true);
+    assert.match(response.body.apiKey, /^mv_/);
+    assert.equal(response.body.key.name, 'voice agent');
+    assert.equal(response.body.key.createdBy, 'root');
+    assert.equal(response.body.key.hash, undefined);
+    created = response.body;
+  });
+
+  test('POST /api/admin/api-keys rejects unknown scopes and missing names', async () => {
+    expectError(await api().post('/api/admin/api-keys').set('Authorization', admin)
+      .send({ name: 'bad', scopes: ['everything'] }), 400);
+    expectError(await api().post('/api/admin/api-keys').set('Authorization', admin)
+      .send({ scopes: ['tools:read'] }), 400);
+  });
+
+  test('GET /api/admin/api-keys lists keys without secrets', async () => {
+    const response = await api().get('/api/admin/api-keys').set('Authorization', admin);
+    assert.equal(response.status, 200);
+    const listed = response.body.keys.find(key => key.keyId === created.key.keyId);
+    assert.deepEqual(listed.scopes, ['tools:read', 'tools:write']);
+    assert.equal(listed.hash, undefined);
+  });
+
+  test('DELETE /api/admin/api-keys/:keyId revokes the key', async () => {
+    const response = await api().delete(`/api/admin/api-keys/${created.key.keyId}`).set('Authorization', admin);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.key.revokedAt, 'string');
+
+    expectError(await api().get('/api/tools').set('X-API-Key', created.apiKey), 401);
+  });
+
+  test('revoking an unknown key is 404', async () => {
+    expectError(await api().delete('/api/admin/api-keys/unknown').set('Authorization', admin), 404);
+  });
+});
+
+describe('API key administration auth errors', () => {
+  test('requests without credentials are 401', async () => {
+    expectError(await api().get('/api/admin/api-keys'), 401);
+  });
+
+  test('non-admin users are 403', async () => {
+    expectError(await api().get('/api/admin/api-keys').set('Authorization', bearer('someone')), 403);
+    expectError(await api().post('/api/admin/api-keys').set('Authorization', bearer('someone'))
+      .send({ name: 'x', scopes: ['tools:read'] }), 403);
+  });
+});
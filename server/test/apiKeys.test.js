@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import MemoryStorageAdapter from '../services/storage/MemoryStorageAdapter.js';
+import ApiKeyService from '../services/ApiKeyService.js';
+
+// API key verification against in-memory storage
+
+function randomKey() {
+  return `mv_${crypto.randomBytes(8).toString('hex')}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+describe('api key cache', () => {
+  test('unknown keys are not cached', async () => {
+    const apiKeys = new ApiKeyService(new MemoryStorageAdapter());
+    for (let attempt = 0; attempt < 50; attempt++) {
+      assert.equal(await apiKeys.verifyKey(randomKey()), null);
+    }
+    assert.equal(apiKeys.cache.size, 0);
+  });
+
+  test('a valid key is read once and then served from the cache', async () => {
+    const storage = new MemoryStorageAdapter();
+    const apiKeys = new ApiKeyService(storage);
+    const { apiKey } = await apiKeys.createKey({ name: 'agent', scopes: ['tools:read'] });
+
+    let reads = 0;
+    const getDoc = storage.getDoc.bind(storage);
+    storage.getDoc = async path => {
+      reads++;
+      return getDoc(path);
+    };
+
+    assert.deepEqual((await apiKeys.verifyKey(apiKey)).scopes, ['tools:read']);
+    assert.deepEqual((await apiKeys.verifyKey(apiKey)).scopes, ['tools:read']);
+    assert.equal(reads, 1);
+    assert.equal(apiKeys.cache.size, 1);
+  });
+});
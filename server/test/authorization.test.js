@@ -0,0 +1,52 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, expectError } from './helpers.js';
+
+// authorizeUser checks every user identifier a request carries, not just the first one found
+
+const owner = 'mixed-owner';
+const other = 'mixed-other';
+const auth = bearer(owner);
+
+describe('mixed user identifiers', () => {
+  test('params for the caller with body.user_id for another user is 403', async () => {
+    const response = await api().post(`/api/memory/themes/${owner}/rebuild`).set('Authorization', auth)
+      .send({ user_id: other });
+    expectError(response, 403);
+  });
+
+  test('body.userUUID for the caller with query.userUUID for another user is 403', async () => {
+    const response = await api().post(`/api/memory/conversation?userUUID=${other}`).set('Authorization', auth)
+      .send({ userUUID: owner, type: 'user', content: 'Hello' });
+    expectError(response, 403);
+  });
+
+  test('body.userUUID for the caller with body.user_id for another user is 403', async () => {
+    const response = await api().post('/api/memory/session/start').set('Authorization', auth)
+      .send({ userUUID: owner, user_id: other });
+    expectError(response, 403);
+  });
+
+  test('params for the caller with query.user_id for another user is 403', async () => {
+    expectError(await api().get(`/api/memory/profile/${owner}?user_id=${other}`).set('Authorization', auth), 403);
+  });
+
+  test('a repeated query identifier naming another user is 403', async () => {
+    const response = await api().get(`/api/memory/stages/${owner}?userUUID=${owner}&userUUID=${other}`)
+      .set('Authorization', auth);
+    expectError(response, 403);
+  });
+
+  test('a tool call naming the caller in the body and another user in the query is 403', async () => {
+    const response = await api().post(`/api/tools/get_user_context?user_id=${other}`).set('Authorization', auth)
+      .send({ user_id: owner });
+    expectError(response, 403);
+  });
+
+  test('identifiers that all name the caller are allowed', async () => {
+    const response = await api().post(`/api/memory/conversation?userUUID=${owner}`).set('Authorization', auth)
+      .send({ userUUID: owner, type: 'user', content: 'Hello' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ContextTool from '../tools/ContextTool.js';
+
+// ContextTool against a fake memory service: pins how SessionData maps onto the
+// session block the agent sees.
+
+const sessionData = {
+  sessionId: 'session-1',
+  session: { status: 'active', startedAt: '2026-01-01T10:00:00.000Z' },
+  stages: [{ id: 's1', sessionId: 'session-1', stage: '⊙', timestamp: '2026-01-01T10:01:00.000Z' }],
+  context: [{ id: 'c1', sessionId: 'session-1', content: 'Works nights', timestamp: '2026-01-01T10:02:00.000Z' }],
+  breakthroughs: [{ id: 'b1', sessionId: 'session-1', description: 'Saw the loop', timestamp: '2026-01-01T10:03:00.000Z' }],
+  themes: [{ id: 't1', sessionId: 'session-1', theme: 'grief', timestamp: '2026-01-01T10:04:00.000Z' }],
+  transcript: []
+};
+
+function fakeService(overrides = {}) {
+  return {
+    getActiveSession: async () => ({ sessionId: 'session-1', status: 'active' }),
+    getSessionData: async () => sessionData,
+    getDigest: async () => null,
+    getUserProfile: async () => ({ symbolicName: 'Lynx', sessionCount: 2 }),
+    getThemes: async () => [],
+    getConversationWindow: async () => ({ mode: 'latest', turns: [] }),
+    getStageState: async () => ({
+      currentStage: '⊙',
+      previousStage: null,
+      changedAt: '2026-01-01T10:01:00.000Z',
+      source: 'progressions',
+      trajectory: [],
+      direction: 'steady',
+      analytics: { totalProgressions: 1, regressions: { count: 0 }, cyclesCompleted: 0 },
+      reconciled: false
+    }),
+    ...overrides
+  };
+}
+
+describe('ContextTool session contract', () => {
+  test('maps SessionData onto the session block', async () => {
+    const result = await new ContextTool(fakeService()).execute({ user_id: 'u1', context_type: 'session' });
+    assert.equal(result.success, true);
+    const session = result.data.context.session;
+    assert.equal(session.session_id, 'session-1');
+    assert.equal(session.status, 'active');
+    assert.equal(session.started_at, '2026-01-01T10:00:00.000Z');
+    assert.deepEqual(session.stage_progressions, sessionData.stages);
+    assert.deepEqual(session.user_context, sessionData.context);
+    assert.deepEqual(session.breakthrough_moments, sessionData.breakthroughs);
+    assert.deepEqual(session.therapeutic_themes, sessionData.themes);
+    assert.equal(session.summary,
+      'CSS stages in this session: ⊙. 1 breakthrough moment(s) identified. Therapeutic themes: grief. 1 context entries recorded');
+    assert.equal(session.digest, null);
+  });
+
+  test('a partial SessionData still satisfies the contract', async () => {
+    const service = fakeService({ getSessionData: async () => ({ session: null, themes: [{ theme: 'grief' }] }) });
+    const result = await new ContextTool(service).execute({ user_id: 'u1', context_type: 'session' });
+    const session = result.data.context.session;
+    assert.deepEqual(session.stage_progressions, []);
+    assert.deepEqual(session.breakthrough_moments, []);
+    assert.equal(session.status, null);
+    assert.equal(session.summary, 'Therapeutic themes: grief');
+  });
+
+  test('an empty session is summarised as new', () => {
+    const summary = new ContextTool().generateSessionSummary({ stages: [], context: [], breakthroughs: [], themes: [] });
+    assert.equal(summary, 'New session, no data recorded yet.');
+  });
+
+  test('a failing service is reported inside the block', async () => {
+    const service = fakeService({ getSessionData: async () => { throw new Error('down'); } });
+    const result = await new ContextTool(service).execute({ user_id: 'u1', context_type: 'session' });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.context.session, { error: 'Failed to retrieve session data' });
+  });
+});
+
+describe('ContextTool errors', () => {
+  test('requires a service', async () => {
+    const result = await new ContextTool().execute({ user_id: 'u1' });
+    assert.equal(result.success, false);
+    assert.equal(typeof result.error, 'string');
+  });
+
+  test('requires an around timestamp for the around window', async () => {
+    const result = await new ContextTool(fakeService()).execute({ user_id: 'u1', window: 'around' });
+    assert.equal(result.success, false);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryStorageAdapter from '../services/storage/MemoryStorageAdapter.js';
+import ConversationWindowService from '../services/ConversationWindowService.js';
+
+// Conversation windows against in-memory storage
+
+const uid = 'window-owner';
+const minute = index => new Date(Date.UTC(2026, 0, 1, 10, index)).toISOString();
+
+describe('around window', () => {
+  const storage = new MemoryStorageAdapter();
+  const windows = new ConversationWindowService(storage);
+  const center = minute(5);
+
+  before(async () => {
+    for (let index = 0; index < 10; index++) {
+      await storage.addDoc(['users', uid, 'conversations'], {
+        type: index % 2 ? 'assistant' : 'user',
+        content: `turn ${index}`,
+        timestamp: minute(index)
+      });
+    }
+  });
+
+  const contents = window => window.turns.map(turn => turn.content);
+
+  test('limit 1 returns only the turn at the centre', async () => {
+    const window = await windows.getWindow(uid, { mode: 'around', around: center, limit: 1 });
+    assert.deepEqual(contents(window), ['turn 5']);
+  });
+
+  test('limit 2 returns one turn on each side', async () => {
+    const window = await windows.getWindow(uid, { mode: 'around', around: center, limit: 2 });
+    assert.deepEqual(contents(window), ['turn 5', 'turn 6']);
+  });
+
+  test('an odd limit gives the extra turn to the earlier side', async () => {
+    const window = await windows.getWindow(uid, { mode: 'around', around: center, limit: 5 });
+    assert.deepEqual(contents(window), ['turn 3', 'turn 4', 'turn 5', 'turn 6', 'turn 7']);
+  });
+
+  test('never queries with a page size of 0', async () => {
+    const limits = [];
+    const spy = new ConversationWindowService({
+      queryDocs: async (path, options) => {
+        limits.push(options.limit);
+        return storage.queryDocs(path, options);
+      }
+    });
+    for (const limit of [1, 2, 3]) {
+      const window = await spy.getWindow(uid, { mode: 'around', around: center, limit });
+      assert.equal(window.turns.length, limit);
+    }
+    assert.deepEqual(limits, [1, 1, 1, 2, 1]);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryStorageAdapter from '../services/storage/MemoryStorageAdapter.js';
+import DeletionService, { discoverSessionIds } from '../services/DeletionService.js';
+
+// Deletion jobs against in-memory storage
+
+const uid = 'erased-owner';
+const timestamp = '2024-05-01T10:00:00.000Z';
+
+// Session records written before session documents existed, with nothing referencing them
+async function seedLegacySessions(storage) {
+  await storage.setDoc(['users', uid], { symbolicName: 'Heron' });
+  await storage.addDoc(['users', uid, 'sessions', 'legacy1', 'stages'], { stage: '⊙', timestamp });
+  await storage.addDoc(['users', uid, 'sessions', 'legacy2', 'themes'], { theme: 'tide', timestamp });
+  await storage.addDoc(['users', uid, 'stages'], { stage: '⊙', timestamp });
+  // Another user whose id starts with the same characters must be left alone
+  await storage.addDoc(['users', `${uid}2`, 'sessions', 'other', 'stages'], { stage: '⊙', timestamp });
+}
+
+describe('deletion jobs', () => {
+  test('session records without a session document are discovered', async () => {
+    const storage = new MemoryStorageAdapter();
+    await seedLegacySessions(storage);
+    assert.deepEqual((await discoverSessionIds(storage, uid)).sort(), ['legacy1', 'legacy2']);
+  });
+
+  test('a job deletes legacy session records and completes only when nothing is left', async () => {
+    const storage = new MemoryStorageAdapter();
+    await seedLegacySessions(storage);
+    const deletions = new DeletionService(storage);
+
+    const job = await deletions.runJob((await deletions.createJob(uid)).jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.counts['sessions.stages'], 1);
+    assert.equal(job.counts['sessions.themes'], 1);
+    assert.deepEqual(await storage.queryDocs(['users', uid, 'sessions', 'legacy1', 'stages']), []);
+    assert.equal(await deletions.isErased(uid), true);
+    assert.equal((await storage.queryDocs(['users', `${uid}2`, 'sessions', 'other', 'stages'])).length, 1);
+  });
+
+  // Simulates writes that land while the job runs: each profile lookup is followed by a new record
+  function writeDuringDeletion(storage, times) {
+    const getDoc = storage.getDoc.bind(storage);
+    storage.getDoc = async path => {
+      const docData = await getDoc(path);
+      if (path.length === 2 && path[1] === uid && times-- > 0) {
+        await storage.addDoc(['users', uid, 'sessions', 'late', 'context'], { content: 'late', timestamp });
+      }
+      return docData;
+    };
+  }
+
+  test('a job runs again when the re-scan finds data written meanwhile', async () => {
+    const storage = new MemoryStorageAdapter();
+    await seedLegacySessions(storage);
+    writeDuringDeletion(storage, 1);
+    const deletions = new DeletionService(storage);
+
+    const job = await deletions.runJob((await deletions.createJob(uid)).jobId);
+    assert.equal(job.status, 'completed');
+    assert.ok(job.sessionIds.includes('late'));
+    assert.equal(await deletions.isErased(uid), true);
+  });
+
+  test('a job fails while the re-scan keeps finding data', async () => {
+    const storage = new MemoryStorageAdapter();
+    await seedLegacySessions(storage);
+    writeDuringDeletion(storage, Infinity);
+    const deletions = new DeletionService(storage);
+
+    const job = await deletions.runJob((await deletions.createJob(uid)).jobId);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /still present/);
+    assert.equal(await storage.getDoc(['deletionAudit', job.jobId]), null);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  MemoryStorageAdapter,
+  StorageConfigError,
+  createStorageAdapter,
+  loadEncryptionConfig,
+  withEncryption
+} from '../services/storage/index.js';
+import { isEncryptedValue } from '../services/storage/EncryptingStorageAdapter.js';
+
+// Field-level encryption configuration and coverage
+
+const masterKey = crypto.randomBytes(32).toString('base64');
+
+describe('encryption configuration', () => {
+  test('a malformed master key is a configuration error', () => {
+    assert.throws(() => loadEncryptionConfig({ MEMORY_MASTER_KEY: 'too-short' }), StorageConfigError);
+    assert.throws(
+      () => loadEncryptionConfig({ MEMORY_MASTER_KEY: masterKey, MEMORY_PREVIOUS_MASTER_KEYS: 'nope' }),
+      StorageConfigError
+    );
+    assert.throws(
+      () => loadEncryptionConfig({ MEMORY_MASTER_KEY: masterKey, MEMORY_ENCRYPTED_FIELDS: 'content' }),
+      StorageConfigError
+    );
+    assert.equal(loadEncryptionConfig({}), null);
+  });
+
+  test('createStorageAdapter reports a bad key before creating the backend', () => {
+    const previous = process.env.MEMORY_MASTER_KEY;
+    process.env.MEMORY_MASTER_KEY = 'too-short';
+    try {
+      assert.throws(() => createStorageAdapter('unknown-backend'), StorageConfigError);
+    } finally {
+      if (previous === undefined) delete process.env.MEMORY_MASTER_KEY;
+      else process.env.MEMORY_MASTER_KEY = previous;
+    }
+  });
+});
+
+describe('encrypted fields', () => {
+  test('stage notes and triggers, theme descriptions and the theme index are encrypted', async () => {
+    const inner = new MemoryStorageAdapter();
+    const storage = withEncryption(inner, loadEncryptionConfig({ MEMORY_MASTER_KEY: masterKey }));
+    const userPath = ['users', 'secret-owner'];
+
+    await storage.setDoc([...userPath, 'stages', 's1'], { stage: '⊙', trigger: 'my divorce', notes: 'cried' });
+    await storage.setDoc([...userPath, 'sessions', 'call', 'stages', 's2'], { stage: '⊙', notes: 'cried again' });
+    await storage.setDoc([...userPath, 'sessions', 'call', 'themes', 't1'], { theme: 'loss', description: 'my father' });
+    await storage.setDoc([...userPath, 'themeIndex', 'loss'], { theme: 'loss', lastDescription: 'my father' });
+
+    const raw = [
+      await inner.getDoc([...userPath, 'stages', 's1']),
+      await inner.getDoc([...userPath, 'sessions', 'call', 'stages', 's2']),
+      await inner.getDoc([...userPath, 'sessions', 'call', 'themes', 't1']),
+      await inner.getDoc([...userPath, 'themeIndex', 'loss'])
+    ];
+    assert.ok(isEncryptedValue(raw[0].trigger) && isEncryptedValue(raw[0].notes));
+    assert.ok(isEncryptedValue(raw[1].notes));
+    assert.ok(isEncryptedValue(raw[2].description));
+    assert.ok(isEncryptedValue(raw[3].lastDescription));
+    assert.equal(raw[0].stage, '⊙');
+
+    assert.equal((await storage.getDoc([...userPath, 'stages', 's1'])).trigger, 'my divorce');
+    assert.equal((await storage.getDoc([...userPath, 'themeIndex', 'loss'])).lastDescription, 'my father');
+  });
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+// Shared setup for the route tests. The app runs against in-memory storage with the
+// sweeper and rate limits off, and Firebase ID tokens are replaced by `user:<uid>` tokens.
+// Set TEST_VERBOSE=1 to keep the server's console output.
+process.env.NODE_ENV = 'test';
+process.env.MEMORY_STORAGE = 'memory';
+process.env.MEMORY_RETENTION_SWEEP_INTERVAL_MINUTES = '0';
+for (const group of ['MEMORY', 'TOOLS', 'WEBHOOK', 'AUTH']) {
+  process.env[`RATE_LIMIT_${group}_PER_MINUTE`] = '0';
+}
+delete process.env.MEMORY_MASTER_KEY;
+delete process.env.ELEVENLABS_WEBHOOK_SECRET;
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const { setTokenVerifier } = await import('../middleware/auth.js');
+const { app, memoryService } = await import('../index.js');
+
+setTokenVerifier(async token => {
+  if (!token.startsWith('user:')) {
+    throw new Error('invalid token');
+  }
+  const [uid, claim] = token.slice('user:'.length).split(':');
+  return { uid, admin: claim === 'admin' };
+});
+
+export { app, memoryService };
+
+export const api = () => request(app);
+
+export function bearer(uid, { admin = false } = {}) {
+  return `Bearer user:${uid}${admin ? ':admin' : ''}`;
+}
+
+export async function createApiKey(scopes) {
+  const { apiKey } = await memoryService.apiKeys.createKey({ name: 'test', scopes });
+  return apiKey;
+}
+
+// Every error response carries a string `error`
+export function expectError(response, status) {
+  assert.equal(response.status, status, JSON.stringify(response.body));
+  assert.equal(typeof response.body.error, 'string');
+}
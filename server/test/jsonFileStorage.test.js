@@ -0,0 +1,58 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JsonFileStorageAdapter from '../services/storage/JsonFileStorageAdapter.js';
+
+// Persistence of the JSON file storage adapter
+
+describe('json file storage', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('concurrent writes are serialized and coalesced', async () => {
+    const filePath = path.join(dir, 'store.json');
+    const storage = new JsonFileStorageAdapter(filePath);
+    const writeFile = storage.writeFile;
+    let running = 0;
+    let writes = 0;
+    storage.writeFile = async function () {
+      running++;
+      writes++;
+      assert.equal(running, 1, 'writes overlap');
+      try {
+        await writeFile.call(this);
+      } finally {
+        running--;
+      }
+    };
+
+    await Promise.all(Array.from({ length: 50 }, (_, index) =>
+      storage.setDoc(['users', 'u1', 'conversations', `m${index}`], { content: `turn ${index}` })
+    ));
+    assert.ok(writes <= 2, `${writes} writes`);
+
+    const reloaded = new JsonFileStorageAdapter(filePath);
+    assert.equal((await reloaded.queryDocs(['users', 'u1', 'conversations'])).length, 50);
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+  });
+
+  test('a write resolves only after it reached the file', async () => {
+    const filePath = path.join(dir, 'awaited.json');
+    const storage = new JsonFileStorageAdapter(filePath);
+    await storage.setDoc(['users', 'u2'], { symbolicName: 'Heron' });
+    assert.equal((await new JsonFileStorageAdapter(filePath).getDoc(['users', 'u2'])).symbolicName, 'Heron');
+
+    await storage.deleteDoc(['users', 'u2']);
+    await storage.flush();
+    assert.equal(await new JsonFileStorageAdapter(filePath).getDoc(['users', 'u2']), null);
+  });
+});
@@ -0,0 +1,443 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, createApiKey, expectError, memoryService } from './helpers.js';
+
+// Response contracts of the memory routes: success shapes, validation errors and auth errors
+
+const uid = 'memory-owner';
+const auth = bearer(uid);
+
+function expectValidationError(response, field) {
+  expectError(response, 400);
+  assert.equal(response.body.error, 'Validation failed');
+  assert.ok(Array.isArray(response.body.details));
+  assert.ok(response.body.details.some(detail => detail.field === field), JSON.stringify(response.body.details));
+  response.body.details.forEach(detail => {
+    assert.equal(typeof detail.field, 'string');
+    assert.equal(typeof detail.message, 'string');
+  });
+}
+
+// [method, path, body] for every memory route, targeting `uid`
+const routes = [
+  ['post', '/api/memory/conversation', { userUUID: uid, type: 'user', content: 'hi' }],
+  ['get', `/api/memory/conversation/${uid}`],
+  ['post', '/api/memory/stage', { userUUID: uid, stage: '⊙' }],
+  ['get', `/api/memory/stages/${uid}`],
+  ['get', `/api/memory/stages/${uid}/analytics`],
+  ['post', '/api/memory/profile', { userUUID: uid, symbolicName: 'Owl' }],
+  ['get', `/api/memory/profile/${uid}`],
+  ['post', '/api/memory/context', { userUUID: uid, content: 'note' }],
+  ['get', `/api/memory/context/${uid}`],
+  ['get', `/api/memory/digest/${uid}`],
+  ['get', `/api/memory/search/${uid}?q=hello`],
+  ['get', `/api/memory/themes/${uid}`],
+  ['post', `/api/memory/themes/${uid}/rebuild`],
+  ['post', '/api/memory/session/s1/stage', { userUUID: uid, stage: '⊙' }],
+  ['post', '/api/memory/session/s1/context', { userUUID: uid, content: 'note' }],
+  ['post', '/api/memory/session/s1/breakthrough', { userUUID: uid, description: 'saw it' }],
+  ['post', '/api/memory/session/s1/theme', { userUUID: uid, theme: 'grief' }],
+  ['get', `/api/memory/session/s1?userUUID=${uid}`],
+  ['get', `/api/memory/current-session/${uid}`],
+  ['post', '/api/memory/session/start', { userUUID: uid }],
+  ['post', '/api/memory/session/s1/resume', { userUUID: uid }],
+  ['post', '/api/memory/session/s1/end', { userUUID: uid }],
+  ['get', `/api/memory/sessions/${uid}`],
+  ['get', `/api/memory/user/${uid}/export`],
+  ['post', `/api/memory/user/${uid}/import?dryRun=true`, { format: 'memory-vasa-export', version: 1 }],
+  ['get', `/api/memory/user/${uid}/deletion/job1`],
+  ['post', `/api/memory/user/${uid}/deletion/job1/resume`],
+  ['delete', `/api/memory/user/${uid}`]
+];
+
+function send(method, path, body) {
+  const call = api()[method](path);
+  return body ? call.send(body) : call;
+}
+
+describe('memory route auth errors', () => {
+  for (const [method, path, body] of routes) {
+    test(`${method.toUpperCase()} ${path} without credentials is 401`, async () => {
+      expectError(await send(method, path, body), 401);
+    });
+
+    test(`${method.toUpperCase()} ${path} for another user is 403`, async () => {
+      expectError(await send(method, path, body).set('Authorization', bearer('intruder')), 403);
+    });
+  }
+
+  test('an invalid token is 401', async () => {
+    const response = await api().get(`/api/memory/profile/${uid}`).set('Authorization', 'Bearer not-a-token');
+    expectError(response, 401);
+  });
+
+  test('an invalid API key is 401', async () => {
+    const response = await api().get(`/api/memory/profile/${uid}`).set('X-API-Key', 'mv_0000000000000000_invalid');
+    expectError(response, 401);
+  });
+
+  test('an API key without memory:write cannot write', async () => {
+    const apiKey = await createApiKey(['memory:read']);
+    const response = await api().post('/api/memory/context').set('X-API-Key', apiKey)
+      .send({ userUUID: uid, content: 'note' });
+    expectError(response, 403);
+  });
+
+  test('an API key with memory:read can read any user', async () => {
+    const apiKey = await createApiKey(['memory:read']);
+    const response = await api().get(`/api/memory/sessions/${uid}`).set('X-API-Key', apiKey);
+    assert.equal(response.status, 200);
+  });
+});
+
+describe('conversation routes', () => {
+  test('POST /api/memory/conversation stores a message', async () => {
+    const response = await api().post('/api/memory/conversation').set('Authorization', auth)
+      .send({ userUUID: uid, type: 'user', content: 'Hello there' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.id, 'string');
+  });
+
+  test('POST /api/memory/conversation with the same Idempotency-Key is a duplicate', async () => {
+    const body = { userUUID: uid, type: 'user', content: 'Only once' };
+    const first = await api().post('/api/memory/conversation').set('Authorization', auth)
+      .set('Idempotency-Key', 'abc').send(body);
+    const second = await api().post('/api/memory/conversation').set('Authorization', auth)
+      .set('Idempotency-Key', 'abc').send(body);
+    assert.equal(second.body.id, first.body.id);
+    assert.equal(second.body.duplicate, true);
+  });
+
+  test('POST /api/memory/conversation rejects a reused Idempotency-Key with a different message', async () => {
+    const keyUser = 'idempotency-owner';
+    const keyAuth = bearer(keyUser);
+    const first = await api().post('/api/memory/conversation').set('Authorization', keyAuth)
+      .set('Idempotency-Key', 'reused').send({ userUUID: keyUser, type: 'user', content: 'First message' });
+    assert.equal(first.status, 200);
+
+    // Key order does not make a retry look different
+    const retry = await api().post('/api/memory/conversation').set('Authorization', keyAuth)
+      .set('Idempotency-Key', 'reused').send({ content: 'First message', type: 'user', userUUID: keyUser });
+    assert.equal(retry.body.duplicate, true);
+
+    const reused = await api().post('/api/memory/conversation').set('Authorization', keyAuth)
+      .set('Idempotency-Key', 'reused').send({ userUUID: keyUser, type: 'user', content: 'Second message' });
+    expectError(reused, 422);
+    assert.match(reused.body.error, /Idempotency-Key/);
+  });
+
+  test('POST /api/memory/conversation rejects an invalid body', async () => {
+    const response = await api().post('/api/memory/conversation').set('Authorization', auth)
+      .send({ userUUID: uid, type: 'robot', content: 'x' });
+    expectValidationError(response, 'type');
+  });
+
+  test('POST /api/memory/conversation rejects unknown fields', async () => {
+    const response = await api().post('/api/memory/conversation').set('Authorization', auth)
+      .send({ userUUID: uid, type: 'user', content: 'x', admin: true });
+    expectValidationError(response, 'admin');
+  });
+
+  test('GET /api/memory/conversation/:userUUID returns the legacy array, newest first', async () => {
+    const response = await api().get(`/api/memory/conversation/${uid}?limit=1`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.ok(Array.isArray(response.body));
+    assert.equal(response.body.length, 1);
+    assert.equal(response.body[0].content, 'Only once');
+  });
+
+  test('GET /api/memory/conversation/:userUUID pages newest first when asked to', async () => {
+    const response = await api().get(`/api/memory/conversation/${uid}?limit=1&paginate=true`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.conversations.length, 1);
+    assert.equal(response.body.conversations[0].content, 'Only once');
+    assert.equal(typeof response.body.nextCursor, 'string');
+
+    const next = await api().get(`/api/memory/conversation/${uid}?limit=1&before=${response.body.nextCursor}`)
+      .set('Authorization', auth);
+    assert.equal(next.status, 200);
+    assert.equal(next.body.conversations.length, 1);
+    assert.notEqual(next.body.conversations[0].id, response.body.conversations[0].id);
+  });
+
+  test('GET /api/memory/conversation/:userUUID with a date range returns a page', async () => {
+    const response = await api().get(`/api/memory/conversation/${uid}?from=2000-01-01T00:00:00Z`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.ok(Array.isArray(response.body.conversations));
+    assert.ok('nextCursor' in response.body);
+  });
+
+  test('GET /api/memory/conversation/:userUUID rejects an invalid cursor', async () => {
+    const response = await api().get(`/api/memory/conversation/${uid}?before=nonsense`).set('Authorization', auth);
+    expectError(response, 400);
+  });
+});
+
+describe('stage routes', () => {
+  const stageUser = 'stage-owner';
+  const stageAuth = bearer(stageUser);
+
+  test('POST /api/memory/stage records a transition', async () => {
+    const response = await api().post('/api/memory/stage').set('Authorization', stageAuth)
+      .send({ userUUID: stageUser, stage: '⊙' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.id, 'string');
+    assert.deepEqual(response.body.transition, { from: null, to: '⊙', type: 'initial' });
+  });
+
+  test('POST /api/memory/stage rejects a disallowed transition', async () => {
+    const response = await api().post('/api/memory/stage').set('Authorization', stageAuth)
+      .send({ userUUID: stageUser, stage: '2' });
+    expectError(response, 400);
+    assert.equal(response.body.transition.type, 'skip');
+    // The moves that would have been allowed instead
+    assert.ok(response.body.transition.allowed.every(next => typeof next.stage === 'string' && next.type));
+  });
+
+  test('POST /api/memory/stage rejects an unknown stage', async () => {
+    const response = await api().post('/api/memory/stage').set('Authorization', stageAuth)
+      .send({ userUUID: stageUser, stage: 'X' });
+    expectValidationError(response, 'stage');
+  });
+
+  test('the from stage comes from the progression records, not the profile', async () => {
+    const recordsUser = 'stage-records-owner';
+    const recordsAuth = bearer(recordsUser);
+    await api().post('/api/memory/stage').set('Authorization', recordsAuth).send({ userUUID: recordsUser, stage: '⊙' });
+    await memoryService.storage.setDoc(['users', recordsUser], { currentStage: '2' }, { merge: true });
+
+    const response = await api().post('/api/memory/stage').set('Authorization', recordsAuth)
+      .send({ userUUID: recordsUser, stage: '•' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.transition, { from: '⊙', to: '•', type: 'advance' });
+
+    const profile = await api().get(`/api/memory/profile/${recordsUser}`).set('Authorization', recordsAuth);
+    assert.equal(profile.body.currentStage, '•');
+    assert.equal(profile.body.lastStage, '⊙');
+  });
+
+  test('a progression dated before the latest one is rejected', async () => {
+    const backdatedUser = 'stage-backdated-owner';
+    const backdatedAuth = bearer(backdatedUser);
+    await api().post('/api/memory/stage').set('Authorization', backdatedAuth)
+      .send({ userUUID: backdatedUser, stage: '⊙', timestamp: '2026-03-01T10:00:00.000Z' });
+
+    const response = await api().post('/api/memory/stage').set('Authorization', backdatedAuth)
+      .send({ userUUID: backdatedUser, stage: '•', timestamp: '2026-02-01T10:00:00.000Z' });
+    expectError(response, 400);
+    assert.equal(response.body.transition.latestTimestamp, '2026-03-01T10:00:00.000Z');
+
+    const profile = await api().get(`/api/memory/profile/${backdatedUser}`).set('Authorization', backdatedAuth);
+    assert.equal(profile.body.currentStage, '⊙');
+    assert.equal((await memoryService.stages.getStageHistory(backdatedUser)).length, 1);
+  });
+
+  test('concurrent progressions are validated one after the other', async () => {
+    const racingUser = 'stage-racing-owner';
+    const racingAuth = bearer(racingUser);
+    await api().post('/api/memory/stage').set('Authorization', racingAuth)
+      .send({ userUUID: racingUser, stage: '•', timestamp: '2026-03-01T10:00:00.000Z' });
+
+    const [first, second] = await Promise.all([
+      memoryService.storeStageProgression(racingUser, { stage: '_', timestamp: '2026-03-01T10:01:00.000Z' }),
+      memoryService.storeStageProgression(racingUser, { stage: '1', timestamp: '2026-03-01T10:02:00.000Z' })
+    ]);
+    assert.deepEqual(first.transition, { from: '•', to: '_', type: 'advance' });
+    assert.deepEqual(second.transition, { from: '_', to: '1', type: 'advance' });
+  });
+
+  test('the stage history is limited to the newest progressions', async () => {
+    const history = await memoryService.stages.getStageHistory('stage-racing-owner', 2);
+    assert.deepEqual(history.map(record => record.stage), ['_', '1']);
+  });
+
+  test('GET /api/memory/stages/:userUUID lists progressions', async () => {
+    const response = await api().get(`/api/memory/stages/${stageUser}`).set('Authorization', stageAuth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.length, 1);
+    assert.equal(response.body[0].stage, '⊙');
+
+    const page = await api().get(`/api/memory/stages/${stageUser}?paginate=true`).set('Authorization', stageAuth);
+    assert.equal(page.body.progressions[0].stage, '⊙');
+    assert.equal(page.body.nextCursor, null);
+  });
+
+  test('GET /api/memory/stages/:userUUID/analytics returns the analytics', async () => {
+    const response = await api().get(`/api/memory/stages/${stageUser}/analytics`).set('Authorization', stageAuth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.userUUID, stageUser);
+    assert.equal(response.body.currentStage.symbol, '⊙');
+    assert.ok(Array.isArray(response.body.timeInStage));
+    assert.equal(typeof response.body.regressions.count, 'number');
+  });
+});
+
+describe('profile and context routes', () => {
+  test('POST then GET /api/memory/profile', async () => {
+    const stored = await api().post('/api/memory/profile').set('Authorization', auth)
+      .send({ userUUID: uid, symbolicName: 'Owl' });
+    assert.deepEqual(stored.body, { success: true });
+
+    const response = await api().get(`/api/memory/profile/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.symbolicName, 'Owl');
+  });
+
+  test('GET /api/memory/profile/:userUUID is 404 without a profile', async () => {
+    const other = 'no-profile';
+    expectError(await api().get(`/api/memory/profile/${other}`).set('Authorization', bearer(other)), 404);
+  });
+
+  test('POST /api/memory/profile rejects an invalid body', async () => {
+    const response = await api().post('/api/memory/profile').set('Authorization', auth)
+      .send({ userUUID: uid, sessionCount: -1 });
+    expectValidationError(response, 'sessionCount');
+  });
+
+  test('POST /api/memory/profile cannot set the server-owned stage', async () => {
+    for (const field of ['currentStage', 'lastStage']) {
+      const response = await api().post('/api/memory/profile').set('Authorization', auth)
+        .send({ userUUID: uid, [field]: '⊙' });
+      expectValidationError(response, field);
+    }
+  });
+
+  test('POST /api/memory/context stores an entry', async () => {
+    const response = await api().post('/api/memory/context').set('Authorization', auth)
+      .send({ userUUID: uid, content: 'Works nights', contextType: 'life' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.id, 'string');
+  });
+
+  test('GET /api/memory/context/:userUUID lists entries', async () => {
+    const response = await api().get(`/api/memory/context/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body[0].content, 'Works nights');
+
+    const page = await api().get(`/api/memory/context/${uid}?paginate=true`).set('Authorization', auth);
+    assert.equal(page.body.contexts[0].content, 'Works nights');
+    assert.equal(page.body.nextCursor, null);
+  });
+
+  test('POST /api/memory/context rejects a missing content', async () => {
+    const response = await api().post('/api/memory/context').set('Authorization', auth).send({ userUUID: uid });
+    expectValidationError(response, 'content');
+  });
+});
+
+describe('digest, search and theme routes', () => {
+  test('GET /api/memory/digest/:userUUID hides summarizer state', async () => {
+    await api().post('/api/memory/conversation').set('Authorization', auth)
+      .send({ userUUID: uid, type: 'user', content: 'Thinking about my garden today' });
+    const response = await api().get(`/api/memory/digest/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(typeof response.body.summary, 'string');
+    assert.ok(Array.isArray(response.body.keyTopics));
+    assert.equal(response.body.state, undefined);
+  });
+
+  test('GET /api/memory/digest/:userUUID is 404 without messages', async () => {
+    const other = 'no-digest';
+    expectError(await api().get(`/api/memory/digest/${other}`).set('Authorization', bearer(other)), 404);
+  });
+
+  test('GET /api/memory/search/:userUUID returns results', async () => {
+    const response = await api().get(`/api/memory/search/${uid}?q=garden`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.query, 'garden');
+    assert.ok(response.body.results.length > 0);
+    assert.equal(typeof response.body.results[0].snippet, 'string');
+  });
+
+  test('GET /api/memory/search/:userUUID requires q', async () => {
+    expectError(await api().get(`/api/memory/search/${uid}`).set('Authorization', auth), 400);
+  });
+
+  test('GET /api/memory/search/:userUUID rejects an invalid date', async () => {
+    expectError(await api().get(`/api/memory/search/${uid}?q=x&from=yesterday`).set('Authorization', auth), 400);
+  });
+
+  test('GET /api/memory/themes/:userUUID lists indexed themes', async () => {
+    await api().post('/api/memory/session/themes-session/theme').set('Authorization', auth)
+      .send({ userUUID: uid, theme: 'Fear of abandonment' });
+    const response = await api().get(`/api/memory/themes/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.userUUID, uid);
+    const [theme] = response.body.themes;
+    assert.equal(theme.theme, 'Fear of abandonment');
+    assert.equal(typeof theme.recurrence, 'string');
+    assert.equal(typeof theme.frequency, 'number');
+  });
+
+  test('POST /api/memory/themes/:userUUID/rebuild reports the rebuilt index', async () => {
+    const response = await api().post(`/api/memory/themes/${uid}/rebuild`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.themes, 'number');
+  });
+});
+
+describe('session record routes', () => {
+  const sessionId = 'records-session';
+
+  test('POST /api/memory/session/:sessionId/{context,breakthrough,theme} store records', async () => {
+    const bodies = {
+      context: { content: 'A note' },
+      breakthrough: { description: 'Saw the pattern' },
+      theme: { theme: 'grief' }
+    };
+    for (const [kind, body] of Object.entries(bodies)) {
+      const response = await api().post(`/api/memory/session/${sessionId}/${kind}`).set('Authorization', auth)
+        .send({ userUUID: uid, ...body });
+      assert.equal(response.status, 200, kind);
+      assert.equal(response.body.success, true, kind);
+      assert.equal(typeof response.body.id, 'string', kind);
+    }
+  });
+
+  test('POST /api/memory/session/:sessionId/{context,breakthrough,theme} reject invalid bodies', async () => {
+    const invalid = { context: 'content', breakthrough: 'description', theme: 'theme' };
+    for (const [kind, field] of Object.entries(invalid)) {
+      const response = await api().post(`/api/memory/session/${sessionId}/${kind}`).set('Authorization', auth)
+        .send({ userUUID: uid });
+      expectValidationError(response, field);
+    }
+  });
+
+  test('GET /api/memory/session/:sessionId returns a SessionData', async () => {
+    const response = await api().get(`/api/memory/session/${sessionId}?userUUID=${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body),
+      ['sessionId', 'session', 'stages', 'context', 'breakthroughs', 'themes', 'transcript']);
+    assert.equal(response.body.breakthroughs.length, 1);
+    assert.equal(response.body.themes[0].theme, 'grief');
+  });
+
+  test('GET /api/memory/session/:sessionId requires userUUID and a known dataType', async () => {
+    expectError(await api().get(`/api/memory/session/${sessionId}`).set('Authorization', auth), 400);
+    expectError(await api().get(`/api/memory/session/${sessionId}?userUUID=${uid}&dataType=x`).set('Authorization', auth), 400);
+  });
+});
+
+describe('health route', () => {
+  test('GET /api/health is healthy on the configured backend', async () => {
+    const response = await api().get('/api/health');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+  });
+
+  test('GET /api/health is 503 while running on the in-memory fallback', async () => {
+    memoryService.degradedReason = 'Storage backend failed to initialize: no credentials';
+    try {
+      const response = await api().get('/api/health');
+      assert.equal(response.status, 503);
+      assert.equal(response.body.status, 'degraded');
+      assert.match(response.body.reason, /no credentials/);
+    } finally {
+      memoryService.degradedReason = null;
+    }
+  });
+});
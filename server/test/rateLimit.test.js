@@ -0,0 +1,36 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import request from 'supertest';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// The per-IP limiter that runs ahead of credential checks
+
+after(() => {
+  delete process.env.RATE_LIMIT_AUTH_CAPACITY;
+  delete process.env.RATE_LIMIT_AUTH_PER_MINUTE;
+});
+
+describe('auth rate limit', () => {
+  test('requests with bad credentials are limited per IP before they are verified', async () => {
+    process.env.RATE_LIMIT_AUTH_CAPACITY = '2';
+    process.env.RATE_LIMIT_AUTH_PER_MINUTE = '1';
+    let verifications = 0;
+    const app = express();
+    app.use('/api/memory', rateLimit('auth'), (req, res) => {
+      verifications++;
+      res.status(401).json({ error: 'Invalid token' });
+    });
+
+    const statuses = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const response = await request(app).get('/api/memory/anything')
+        .set('Authorization', `Bearer forged-${attempt}`)
+        .set('X-API-Key', `mv_random${attempt}`);
+      statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses, [401, 401, 429, 429]);
+    assert.equal(verifications, 2);
+  });
+});
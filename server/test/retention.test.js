@@ -0,0 +1,136 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, memoryService } from './helpers.js';
+import MemoryStorageAdapter from '../services/storage/MemoryStorageAdapter.js';
+import RetentionService, { loadRetentionConfig } from '../services/RetentionService.js';
+
+// The retention sweeper and what it leaves behind in derived data
+
+const uid = 'retention-owner';
+const auth = bearer(uid);
+const { retention } = memoryService;
+const originalPolicy = { ...retention.config.policy };
+
+after(() => {
+  retention.config.policy = originalPolicy;
+});
+
+function storeMessage(content, timestamp, sessionId) {
+  return api().post('/api/memory/conversation').set('Authorization', auth)
+    .send({ userUUID: uid, type: 'user', content, timestamp, sessionId });
+}
+
+describe('retention sweep', () => {
+  test('swept messages no longer appear in the digests', async () => {
+    await storeMessage('My lighthouse keeper uncle keeps calling. Should I answer the lighthouse?', '2020-01-01T10:00:00.000Z', 'old-call');
+    await storeMessage('The garden is growing well', new Date().toISOString(), 'new-call');
+
+    const before = await api().get(`/api/memory/digest/${uid}`).set('Authorization', auth);
+    assert.ok(before.body.keyTopics.includes('lighthouse'));
+    assert.equal(before.body.unresolvedThreads.length, 1);
+
+    retention.config.policy = { ...originalPolicy, conversations: 30 };
+    const summary = await retention.sweep();
+    assert.equal(summary.removed.conversations, 1);
+
+    const digest = await api().get(`/api/memory/digest/${uid}`).set('Authorization', auth);
+    assert.equal(digest.status, 200);
+    assert.equal(digest.body.messageCount, 1);
+    assert.ok(!digest.body.keyTopics.includes('lighthouse'), digest.body.keyTopics.join());
+    assert.ok(digest.body.keyTopics.includes('garden'));
+    assert.deepEqual(digest.body.unresolvedThreads, []);
+    assert.doesNotMatch(JSON.stringify(digest.body), /lighthouse/);
+
+    // The session whose messages were all swept has no digest left
+    const oldSession = await api().get(`/api/memory/digest/${uid}?sessionId=old-call`).set('Authorization', auth);
+    assert.equal(oldSession.status, 404);
+    const newSession = await api().get(`/api/memory/digest/${uid}?sessionId=new-call`).set('Authorization', auth);
+    assert.deepEqual(newSession.body.keyTopics, digest.body.keyTopics);
+
+    const { state } = await memoryService.getDigest(uid);
+    assert.doesNotMatch(JSON.stringify(state), /lighthouse/);
+  });
+});
+
+describe('idle sessions', () => {
+  test('the sweep closes idle sessions even without a retention policy', async () => {
+    const idleUser = 'idle-owner';
+    const idleAuth = bearer(idleUser);
+    retention.config.policy = { ...originalPolicy };
+    await api().post('/api/memory/session/start').set('Authorization', idleAuth)
+      .send({ userUUID: idleUser, sessionId: 'quiet-call' });
+    await memoryService.storage.setDoc(['users', idleUser, 'sessions', 'quiet-call'], {
+      lastActivityAt: '2020-01-01T10:00:00.000Z'
+    }, { merge: true });
+
+    // Reading the current session reports no active session but leaves it alone
+    const current = await api().get(`/api/memory/current-session/${idleUser}`).set('Authorization', idleAuth);
+    assert.equal(current.body.session, null);
+    assert.equal((await memoryService.getSession(idleUser, 'quiet-call')).status, 'active');
+
+    const summary = await retention.sweep();
+    assert.equal(summary.sessionsClosed, 1);
+    const session = await memoryService.getSession(idleUser, 'quiet-call');
+    assert.equal(session.status, 'ended');
+    assert.equal(session.endReason, 'idle_timeout');
+    assert.equal(session.endedAt, '2020-01-01T10:00:00.000Z');
+    assert.equal(await memoryService.storage.getDoc(['users', idleUser, 'meta', 'activeSession']), null);
+  });
+});
+
+describe('sweeping many users', () => {
+  test('users are read page by page and each is visited once', async () => {
+    const storage = new MemoryStorageAdapter();
+    for (let n = 0; n < 250; n++) {
+      const userUUID = `user${String(n).padStart(3, '0')}`;
+      // Registered only, profile only, or both
+      if (n % 3 !== 1) await storage.setDoc(['memoryUsers', userUUID], { userUUID });
+      if (n % 3 !== 0) await storage.setDoc(['users', userUUID], { symbolicName: 'Wren' });
+    }
+
+    const limits = [];
+    const queryDocs = storage.queryDocs.bind(storage);
+    storage.queryDocs = async (path, options = {}) => {
+      limits.push(options.limit);
+      return queryDocs(path, options);
+    };
+
+    const retention = new RetentionService(storage, loadRetentionConfig({}));
+    const visited = [];
+    for await (const userUUID of retention.userIds()) {
+      visited.push(userUUID);
+    }
+
+    assert.equal(visited.length, 250);
+    assert.deepEqual(visited, [...visited].sort());
+    assert.ok(limits.every(limit => limit > 0 && limit < 250), limits.join());
+  });
+
+  test('an archive sweep retried after a failed delete does not duplicate archives', async () => {
+    const storage = new MemoryStorageAdapter();
+    const userPath = ['users', 'archived-owner'];
+    await storage.setDoc(userPath, { symbolicName: 'Wren' });
+    await storage.addDoc([...userPath, 'stages'], { stage: '⊙', timestamp: '2020-01-01T10:00:00.000Z' });
+    await storage.addDoc([...userPath, 'sessions', 'legacy', 'stages'], { stage: '⊙', timestamp: '2020-01-02T10:00:00.000Z' });
+    await storage.addDoc([...userPath, 'stages'], { stage: '⊙', timestamp: new Date().toISOString() });
+
+    const retention = new RetentionService(storage, loadRetentionConfig({
+      MEMORY_RETENTION_STAGES_DAYS: '30',
+      MEMORY_RETENTION_MODE: 'archive'
+    }));
+    const deleteDocs = storage.deleteDocs.bind(storage);
+    storage.deleteDocs = async () => {
+      throw new Error('connection lost');
+    };
+    assert.equal((await retention.sweep()).errors, 1);
+
+    storage.deleteDocs = deleteDocs;
+    const summary = await retention.sweep();
+    assert.equal(summary.removed.stages, 2);
+
+    const archive = await storage.queryDocs([...userPath, 'archive']);
+    assert.equal(archive.length, 2);
+    assert.deepEqual(archive.map(entry => entry.sourcePath.split('/').length).sort(), [4, 6]);
+    assert.equal((await storage.queryDocs([...userPath, 'stages'])).length, 1);
+  });
+});
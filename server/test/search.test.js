@@ -0,0 +1,47 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryStorageAdapter from '../services/storage/MemoryStorageAdapter.js';
+import SearchService from '../services/SearchService.js';
+
+// Memory search against in-memory storage
+
+const uid = 'search-owner';
+const day = index => new Date(Date.UTC(2026, 0, index + 1, 10)).toISOString();
+
+describe('search scan bounds', () => {
+  const storage = new MemoryStorageAdapter();
+
+  before(async () => {
+    for (let index = 0; index < 5; index++) {
+      const sessionPath = ['users', uid, 'sessions', `session-${index}`];
+      await storage.setDoc(sessionPath, { sessionId: `session-${index}`, startedAt: day(index) });
+      await storage.addDoc([...sessionPath, 'themes'], { theme: 'harbour', sessionId: `session-${index}`, timestamp: day(index) });
+      await storage.addDoc([...sessionPath, 'breakthroughs'], { description: 'The harbour again', sessionId: `session-${index}`, timestamp: day(index) });
+    }
+  });
+
+  test('only the most recent sessions are scanned', async () => {
+    const search = new SearchService(storage, { maxSessions: 2 });
+    const results = await search.search(uid, 'harbour', { limit: 50 });
+    assert.deepEqual([...new Set(results.map(result => result.sessionId))].sort(), ['session-3', 'session-4']);
+  });
+
+  test('session records share one document budget', async () => {
+    const search = new SearchService(storage, { maxDocuments: 3 });
+    const results = await search.search(uid, 'harbour', { types: ['breakthrough', 'theme'], limit: 50 });
+    assert.equal(results.length, 3);
+  });
+
+  test('every query is bounded', async () => {
+    const queries = [];
+    const spy = new SearchService({
+      queryDocs: async (path, options = {}) => {
+        queries.push({ path: path.join('/'), limit: options.limit });
+        return storage.queryDocs(path, options);
+      }
+    }, { maxDocuments: 4, maxSessions: 3 });
+    await spy.search(uid, 'harbour');
+    assert.ok(queries.length > 0);
+    queries.forEach(query => assert.ok(query.limit > 0, `${query.path} has no limit`));
+  });
+});
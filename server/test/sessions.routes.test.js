@@ -0,0 +1,130 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, expectError, memoryService } from './helpers.js';
+
+// Response contracts of the session lifecycle routes
+
+const uid = 'session-owner';
+const auth = bearer(uid);
+
+describe('session lifecycle routes', () => {
+  test('POST /api/memory/session/start starts a session', async () => {
+    const response = await api().post('/api/memory/session/start').set('Authorization', auth)
+      .send({ userUUID: uid, sessionId: 'call-1', metadata: { channel: 'voice' } });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.session.sessionId, 'call-1');
+    assert.equal(response.body.session.status, 'active');
+    assert.deepEqual(response.body.session.metadata, { channel: 'voice' });
+  });
+
+  test('POST /api/memory/session/start requires userUUID', async () => {
+    expectError(await api().post('/api/memory/session/start').set('Authorization', auth).send({}), 400);
+  });
+
+  test('POST /api/memory/session/start validates the body', async () => {
+    const badId = await api().post('/api/memory/session/start').set('Authorization', auth)
+      .send({ userUUID: uid, sessionId: 'a/b' });
+    expectError(badId, 400);
+    const unknown = await api().post('/api/memory/session/start').set('Authorization', auth)
+      .send({ userUUID: uid, status: 'ended' });
+    expectError(unknown, 400);
+    expectError(await api().post('/api/memory/session/start').set('Authorization', auth)
+      .send({ userUUID: uid, metadata: 'voice' }), 400);
+  });
+
+  test('GET /api/memory/current-session/:userUUID returns the active session', async () => {
+    const response = await api().get(`/api/memory/current-session/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sessionId, 'call-1');
+    assert.equal(response.body.session.status, 'active');
+  });
+
+  test('POST /api/memory/session/:sessionId/end ends it', async () => {
+    const response = await api().post('/api/memory/session/call-1/end').set('Authorization', auth)
+      .send({ userUUID: uid, reason: 'user_left' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.session.status, 'ended');
+    assert.equal(response.body.session.endReason, 'user_left');
+  });
+
+  test('GET /api/memory/current-session/:userUUID does not start a session', async () => {
+    const response = await api().get(`/api/memory/current-session/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sessionId, null);
+    assert.equal(response.body.session, null);
+    const sessions = await memoryService.storage.queryDocs(['users', uid, 'sessions']);
+    assert.deepEqual(sessions.map(session => session.id), ['call-1']);
+  });
+
+  test('POST /api/memory/session/:sessionId/resume reopens it', async () => {
+    const response = await api().post('/api/memory/session/call-1/resume').set('Authorization', auth)
+      .send({ userUUID: uid });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.session.status, 'active');
+  });
+
+  test('resume and end of an unknown session are 404', async () => {
+    for (const action of ['resume', 'end']) {
+      const response = await api().post(`/api/memory/session/missing/${action}`).set('Authorization', auth)
+        .send({ userUUID: uid });
+      assert.equal(response.status, 404, action);
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.error, 'Session not found');
+    }
+  });
+
+  test('resume and end require userUUID', async () => {
+    for (const action of ['resume', 'end']) {
+      expectError(await api().post(`/api/memory/session/call-1/${action}`).set('Authorization', auth).send({}), 400);
+    }
+  });
+
+  test('GET /api/memory/sessions/:userUUID lists sessions newest first', async () => {
+    await api().post('/api/memory/session/start').set('Authorization', auth).send({ userUUID: uid, sessionId: 'call-2' });
+    const response = await api().get(`/api/memory/sessions/${uid}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.ok(Array.isArray(response.body));
+    assert.deepEqual(response.body.map(session => session.id), ['call-2', 'call-1']);
+  });
+});
+
+describe('sessions referenced before they were started', () => {
+  test('a write to an unknown session does not end the live session', async () => {
+    const owner = 'stray-write-owner';
+    const ownerAuth = bearer(owner);
+    await api().post('/api/memory/session/start').set('Authorization', ownerAuth)
+      .send({ userUUID: owner, sessionId: 'live-call' });
+
+    const response = await api().post('/api/memory/session/live-cal/breakthrough').set('Authorization', ownerAuth)
+      .send({ userUUID: owner, description: 'Typo in the session id' });
+    assert.equal(response.status, 200);
+
+    const live = await memoryService.getSession(owner, 'live-call');
+    assert.equal(live.status, 'active');
+    assert.equal(live.endReason, null);
+    const current = await api().get(`/api/memory/current-session/${owner}`).set('Authorization', ownerAuth);
+    assert.equal(current.body.sessionId, 'live-call');
+    assert.ok(await memoryService.getSession(owner, 'live-cal'));
+  });
+
+  test('a write to an unknown session makes it active when none is', async () => {
+    const owner = 'first-write-owner';
+    const ownerAuth = bearer(owner);
+    await api().post('/api/memory/session/client-chosen/breakthrough').set('Authorization', ownerAuth)
+      .send({ userUUID: owner, description: 'First words' });
+
+    const current = await api().get(`/api/memory/current-session/${owner}`).set('Authorization', ownerAuth);
+    assert.equal(current.body.sessionId, 'client-chosen');
+  });
+
+  test('get_user_context does not start a session', async () => {
+    const owner = 'context-reader';
+    const response = await api().post('/api/tools/get_user_context').set('Authorization', bearer(owner))
+      .send({ user_id: owner });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.session_id, null);
+    assert.deepEqual(await memoryService.listSessions(owner), []);
+  });
+});
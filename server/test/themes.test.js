@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryStorageAdapter from '../services/storage/MemoryStorageAdapter.js';
+import ThemeService from '../services/ThemeService.js';
+
+// The theme index against in-memory storage
+
+const uid = 'themes-owner';
+const minute = index => new Date(Date.UTC(2026, 0, 1, 10, index)).toISOString();
+
+describe('theme index updates', () => {
+  test('concurrent messages do not lose counts', async () => {
+    const themes = new ThemeService(new MemoryStorageAdapter());
+    await Promise.all(Array.from({ length: 10 }, (_, index) => themes.recordMessage(uid, {
+      type: 'user', content: 'So much tension at home', sessionId: `call-${index % 3}`, timestamp: minute(index)
+    })));
+
+    const [theme] = await themes.getThemes(uid);
+    assert.equal(theme.mentionCount, 10);
+    assert.equal(theme.frequency, 10);
+    assert.equal(theme.sessionCount, 3);
+  });
+
+  test('a session that dropped out of sessionIds is not counted again', async () => {
+    const storage = new MemoryStorageAdapter();
+    const themes = new ThemeService(storage);
+    // One more session than sessionIds keeps
+    for (let index = 0; index <= 50; index++) {
+      const sessionId = `call-${index}`;
+      await storage.addDoc(['users', uid, 'sessions', sessionId, 'themes'], { theme: 'harbour', sessionId, timestamp: minute(index) });
+    }
+
+    await themes.rebuildIndex(uid);
+    let [theme] = await themes.getThemes(uid);
+    assert.equal(theme.sessionIds.length, 50);
+    assert.ok(!theme.sessionIds.includes('call-0'));
+    assert.equal(theme.sessionCount, 51);
+
+    await themes.recordTheme(uid, { theme: 'harbour', sessionId: 'call-0', timestamp: minute(60) });
+    [theme] = await themes.getThemes(uid);
+    assert.equal(theme.sessionCount, 51);
+    assert.equal(theme.recordCount, 52);
+
+    await themes.recordTheme(uid, { theme: 'harbour', sessionId: 'call-51', timestamp: minute(61) });
+    [theme] = await themes.getThemes(uid);
+    assert.equal(theme.sessionCount, 52);
+  });
+});
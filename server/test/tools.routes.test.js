@@ -0,0 +1,167 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, createApiKey, expectError } from './helpers.js';
+
+// Response contracts of the agent tool routes
+
+const uid = 'tools-owner';
+const auth = bearer(uid);
+
+function callTool(name, parameters, authorization = auth) {
+  return api().post(`/api/tools/${name}`).set('Authorization', authorization).send(parameters);
+}
+
+function expectInvalidParameters(response, field) {
+  expectError(response, 400);
+  assert.equal(response.body.error, 'Invalid parameters');
+  assert.ok(response.body.details.some(detail => detail.field === field), JSON.stringify(response.body.details));
+}
+
+describe('tool listing', () => {
+  test('GET /api/tools lists every tool schema', async () => {
+    const response = await api().get('/api/tools').set('Authorization', auth);
+    assert.equal(response.status, 200);
+    const names = response.body.tools.map(tool => tool.function.name).sort();
+    assert.deepEqual(names, [
+      'get_user_context', 'record_breakthrough', 'record_stage_progression',
+      'record_theme', 'search_memory', 'update_profile'
+    ]);
+    response.body.tools.forEach(tool => {
+      assert.equal(tool.type, 'function');
+      assert.equal(tool.function.parameters.type, 'object');
+    });
+  });
+
+  test('GET /api/tools without credentials is 401', async () => {
+    expectError(await api().get('/api/tools'), 401);
+  });
+});
+
+describe('tool auth errors', () => {
+  test('a tool call without credentials is 401', async () => {
+    expectError(await api().post('/api/tools/get_user_context').send({ user_id: uid }), 401);
+  });
+
+  test('a tool call for another user is 403', async () => {
+    expectError(await callTool('get_user_context', { user_id: uid }, bearer('intruder')), 403);
+  });
+
+  test('an API key without tools:write cannot call write tools', async () => {
+    const apiKey = await createApiKey(['tools:read']);
+    const response = await api().post('/api/tools/record_theme').set('X-API-Key', apiKey)
+      .send({ user_id: uid, theme: 'grief' });
+    expectError(response, 403);
+  });
+
+  test('an API key with tools:read can read context for any user', async () => {
+    const apiKey = await createApiKey(['tools:read']);
+    const response = await api().post('/api/tools/get_user_context').set('X-API-Key', apiKey)
+      .send({ user_id: uid, context_type: 'profile' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+  });
+});
+
+describe('tool calls', () => {
+  test('an unknown tool is 404', async () => {
+    expectError(await callTool('make_coffee', { user_id: uid }), 404);
+  });
+
+  test('record_stage_progression records a stage', async () => {
+    const response = await callTool('record_stage_progression', { user_id: uid, stage: '⊙' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.data.id, 'string');
+  });
+
+  test('record_stage_progression rejects an unknown stage', async () => {
+    expectInvalidParameters(await callTool('record_stage_progression', { user_id: uid, stage: 'Z' }), 'stage');
+  });
+
+  test('record_breakthrough records a breakthrough', async () => {
+    const response = await callTool('record_breakthrough', { user_id: uid, description: 'Saw the loop' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(typeof response.body.data.id, 'string');
+    assert.equal(typeof response.body.data.session_id, 'string');
+  });
+
+  test('record_breakthrough requires a description', async () => {
+    expectInvalidParameters(await callTool('record_breakthrough', { user_id: uid }), 'description');
+  });
+
+  test('record_theme records a theme', async () => {
+    const response = await callTool('record_theme', { user_id: uid, theme: 'grief', intensity: 4 });
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body.data).sort(), ['id', 'session_id', 'theme']);
+  });
+
+  test('record_theme rejects an out-of-range intensity', async () => {
+    expectInvalidParameters(await callTool('record_theme', { user_id: uid, theme: 'grief', intensity: 11 }), 'intensity');
+  });
+
+  test('update_profile updates the profile', async () => {
+    const response = await callTool('update_profile', { user_id: uid, symbolic_name: 'Lynx' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+  });
+
+  test('update_profile does not expose the server-owned stage', async () => {
+    const { body } = await api().get('/api/tools').set('Authorization', auth);
+    const tool = body.tools.find(entry => entry.function.name === 'update_profile');
+    assert.deepEqual(Object.keys(tool.function.parameters.properties).sort(), ['symbolic_name', 'user_id']);
+
+    const response = await callTool('update_profile', { user_id: uid, current_stage: '2' });
+    assert.equal(response.body.success, false);
+  });
+
+  test('update_profile requires user_id', async () => {
+    expectInvalidParameters(await callTool('update_profile', { symbolic_name: 'Lynx' }), 'user_id');
+  });
+
+  test('search_memory returns results', async () => {
+    const response = await callTool('search_memory', { user_id: uid, query: 'loop' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.query, 'loop');
+    assert.ok(Array.isArray(response.body.data.results));
+    assert.equal(typeof response.body.instructions, 'string');
+  });
+
+  test('search_memory rejects bounds that are not ISO 8601 date-times', async () => {
+    expectInvalidParameters(await callTool('search_memory', { user_id: uid, query: 'loop', from: 'last week' }), 'from');
+    expectInvalidParameters(await callTool('search_memory', { user_id: uid, query: 'loop', to: 'soon' }), 'to');
+  });
+
+  test('search_memory requires a query', async () => {
+    expectInvalidParameters(await callTool('search_memory', { user_id: uid }), 'query');
+  });
+
+  test('get_user_context returns every context block', async () => {
+    const response = await callTool('get_user_context', { user_id: uid });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.data.user_id, uid);
+    assert.deepEqual(Object.keys(response.body.data.context).sort(),
+      ['conversations', 'profile', 'session', 'stages']);
+    assert.equal(response.body.data.context.profile.symbolic_name, 'Lynx');
+    assert.equal(response.body.data.context.stages.current_stage, '⊙');
+    assert.equal(typeof response.body.instructions, 'string');
+  });
+
+  test('get_user_context with a budget reports what fit', async () => {
+    const response = await callTool('get_user_context', { user_id: uid, max_tokens: 200 });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.budget.used_tokens_estimate <= 200);
+    assert.ok(Array.isArray(response.body.data.sections));
+  });
+
+  test('get_user_context rejects an unknown context_type', async () => {
+    expectInvalidParameters(await callTool('get_user_context', { user_id: uid, context_type: 'everything' }), 'context_type');
+  });
+
+  test('the legacy context route runs get_user_context', async () => {
+    const response = await callTool('context', { user_id: uid, context_type: 'stages' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.context.stages.current_stage, '⊙');
+  });
+});
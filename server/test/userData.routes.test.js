@@ -0,0 +1,231 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, bearer, expectError, memoryService } from './helpers.js';
+
+// Response contracts of the export, import and deletion routes
+
+const uid = 'data-owner';
+const auth = bearer(uid);
+
+async function seed(userUUID) {
+  const userAuth = bearer(userUUID);
+  await api().post('/api/memory/profile').set('Authorization', userAuth).send({ userUUID, symbolicName: 'Heron' });
+  await api().post('/api/memory/conversation').set('Authorization', userAuth)
+    .send({ userUUID, type: 'user', content: 'The river again', sessionId: 'river' });
+  await api().post('/api/memory/session/river/theme').set('Authorization', userAuth)
+    .send({ userUUID, theme: 'water' });
+}
+
+describe('export route', () => {
+  test('GET /api/memory/user/:userUUID/export returns the archive as JSON', async () => {
+    await seed(uid);
+    const response = await api().get(`/api/memory/user/${uid}/export`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-disposition'], /attachment; filename="memory-export-data-owner-.*\.json"/);
+    assert.equal(response.body.format, 'memory-vasa-export');
+    assert.equal(response.body.userUUID, uid);
+    assert.equal(response.body.profile.symbolicName, 'Heron');
+    assert.equal(response.body.conversations.length, 1);
+    const river = response.body.sessions.find(session => session.id === 'river');
+    assert.equal(river.themes[0].theme, 'water');
+  });
+
+  test('GET /api/memory/user/:userUUID/export includes legacy sessions without a session document', async () => {
+    const legacyUser = 'legacy-owner';
+    const legacyAuth = bearer(legacyUser);
+    // Written before session documents existed: only the session's records are stored and
+    // nothing else references the session
+    await memoryService.storage.addDoc(['users', legacyUser, 'sessions', 'legacy', 'themes'], {
+      theme: 'tide', sessionId: 'legacy', timestamp: '2024-05-01T10:00:00.000Z'
+    });
+    await memoryService.storage.addDoc(['users', legacyUser, 'sessions', 'legacy', 'breakthroughs'], {
+      description: 'Named the pattern', sessionId: 'legacy', timestamp: '2024-05-01T10:05:00.000Z'
+    });
+
+    const response = await api().get(`/api/memory/user/${legacyUser}/export`).set('Authorization', legacyAuth);
+    assert.equal(response.status, 200);
+    const legacy = response.body.sessions.find(session => session.id === 'legacy');
+    assert.ok(legacy, JSON.stringify(response.body.sessions));
+    assert.equal(legacy.status, undefined);
+    assert.equal(legacy.themes[0].theme, 'tide');
+    assert.equal(legacy.breakthroughs[0].description, 'Named the pattern');
+
+    const target = 'legacy-target';
+    const imported = await api().post(`/api/memory/user/${target}/import`).set('Authorization', bearer(target))
+      .send(response.body);
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.equal(imported.body.collections['sessions.themes'].created, 1);
+    assert.equal(imported.body.collections.sessions, undefined);
+
+    const restored = await api().get(`/api/memory/user/${target}/export`).set('Authorization', bearer(target));
+    assert.deepEqual(restored.body.sessions.map(session => session.id), ['legacy']);
+  });
+
+  test('GET /api/memory/user/:userUUID/export?format=zip returns a zip', async () => {
+    const response = await api().get(`/api/memory/user/${uid}/export?format=zip`).set('Authorization', auth)
+      .buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-type'], 'application/zip');
+    assert.equal(response.body.subarray(0, 2).toString(), 'PK');
+  });
+
+  test('GET /api/memory/user/:userUUID/export rejects an unknown format', async () => {
+    expectError(await api().get(`/api/memory/user/${uid}/export?format=xml`).set('Authorization', auth), 400);
+  });
+});
+
+describe('import route', () => {
+  test('POST /api/memory/user/:userUUID/import restores an export', async () => {
+    const target = 'import-target';
+    const { body: archive } = await api().get(`/api/memory/user/${uid}/export`).set('Authorization', auth);
+
+    const dryRun = await api().post(`/api/memory/user/${target}/import?dryRun=true`)
+      .set('Authorization', bearer(target)).send(archive);
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.success, true);
+    assert.equal(dryRun.body.dryRun, true);
+    assert.equal(dryRun.body.sourceUserUUID, uid);
+    assert.equal(dryRun.body.collections.conversations.created, 1);
+
+    const response = await api().post(`/api/memory/user/${target}/import`)
+      .set('Authorization', bearer(target)).send(archive);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dryRun, false);
+    assert.ok(response.body.totals.created > 0);
+
+    const profile = await api().get(`/api/memory/profile/${target}`).set('Authorization', bearer(target));
+    assert.equal(profile.body.symbolicName, 'Heron');
+  });
+
+  test('POST /api/memory/user/:userUUID/import rejects an invalid archive', async () => {
+    const response = await api().post(`/api/memory/user/${uid}/import`).set('Authorization', auth)
+      .send({ format: 'something-else', version: 1, conversations: [{ content: 'no id' }] });
+    expectError(response, 400);
+    assert.ok(response.body.details.some(detail => detail.field === 'format'));
+    assert.ok(response.body.details.some(detail => detail.field === 'conversations[0]'));
+  });
+
+  test('POST /api/memory/user/:userUUID/import validates every record against the record schemas', async () => {
+    const timestamp = '2026-01-01T10:00:00.000Z';
+    const response = await api().post(`/api/memory/user/${uid}/import`).set('Authorization', auth).send({
+      format: 'memory-vasa-export',
+      version: 1,
+      profile: { symbolicName: 'Heron', isAdmin: true },
+      conversations: [
+        { id: 'ok', type: 'user', content: 'fine', timestamp },
+        { id: 'odd', type: 'narrator', content: 'x', timestamp, injected: { deep: true } }
+      ],
+      stages: [{ id: 'st', stage: 'Z', timestamp }],
+      sessions: [{ id: 'river', themes: [{ id: 'th', timestamp }] }]
+    });
+    expectError(response, 400);
+    const fields = response.body.details.map(detail => detail.field);
+    assert.ok(fields.includes('conversations[1].type'), fields.join());
+    assert.ok(fields.includes('stages[0].stage'), fields.join());
+    assert.ok(fields.includes('sessions[0].themes[0].theme'), fields.join());
+    assert.ok(!fields.some(field => field.startsWith('conversations[0]')), fields.join());
+    // Unknown fields are dropped rather than rejected (see the legacy archive test)
+    assert.ok(!fields.includes('profile.isAdmin'), fields.join());
+    assert.ok(!fields.includes('conversations[1].injected'), fields.join());
+  });
+
+  test('POST /api/memory/user/:userUUID/import accepts legacy records, dropping unknown fields', async () => {
+    const target = 'legacy-import-target';
+    const response = await api().post(`/api/memory/user/${target}/import`).set('Authorization', bearer(target)).send({
+      format: 'memory-vasa-export',
+      version: 1,
+      profile: { symbolicName: 'Heron', isAdmin: true },
+      conversations: [
+        { id: 'old1', type: 'user', content: 'Written before validation', userName: 'Ana', timestamp: 1704103200000 },
+        { id: 'old2', type: 'assistant', content: 'Firestore timestamp', timestamp: { seconds: 1704103260, nanoseconds: 0 } }
+      ]
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(response.body.strippedFields, { 'profile.isAdmin': 1, 'conversations.userName': 1 });
+
+    const [first, second] = await memoryService.storage.queryDocs(['users', target, 'conversations'], {
+      orderBy: { field: 'timestamp' }
+    });
+    assert.equal(first.timestamp, '2024-01-01T10:00:00.000Z');
+    assert.equal(first.userName, undefined);
+    assert.equal(second.timestamp, '2024-01-01T10:01:00.000Z');
+    assert.equal((await memoryService.storage.getDoc(['users', target])).isAdmin, undefined);
+  });
+
+  test('POST /api/memory/user/:userUUID/import validates bookkeeping documents and session metadata', async () => {
+    const response = await api().post(`/api/memory/user/${uid}/import`).set('Authorization', auth).send({
+      format: 'memory-vasa-export',
+      version: 1,
+      digests: [{ id: '_user', messageCount: 'many' }],
+      conversationSessions: [{ id: 'conv', conversationId: 'conv', sessionId: 'a/b' }],
+      archive: [{ id: 'arc', recordType: 'passwords', record: {} }],
+      sessions: [{ id: 'river', status: 'hijacked', themes: [] }]
+    });
+    expectError(response, 400);
+    const fields = response.body.details.map(detail => detail.field);
+    for (const field of ['digests[0].messageCount', 'conversationSessions[0].sessionId', 'archive[0].recordType', 'sessions[0].status']) {
+      assert.ok(fields.includes(field), `${field} in ${fields.join()}`);
+    }
+  });
+
+  test('POST /api/memory/user/:userUUID/import accepts archives above the default body limit', async () => {
+    const conversations = Array.from({ length: 40 }, (_, index) => ({
+      id: `big-${index}`, type: 'user', content: 'x'.repeat(4000), timestamp: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString()
+    }));
+    const response = await api().post(`/api/memory/user/${uid}/import?dryRun=true`).set('Authorization', auth)
+      .send({ format: 'memory-vasa-export', version: 1, userUUID: 'someone-else', conversations });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.collections.conversations.created, 40);
+  });
+
+  test('POST /api/memory/user/:userUUID/import authorizes before parsing the archive', async () => {
+    const response = await api().post(`/api/memory/user/${uid}/import`).set('Authorization', bearer('intruder'))
+      .set('Content-Type', 'application/json').send('{ not json');
+    expectError(response, 403);
+    expectError(await api().post(`/api/memory/user/${uid}/import`).set('Content-Type', 'application/json').send('{ not json'), 401);
+  });
+
+  test('POST /api/memory/user/:userUUID/import rejects an unknown conflict mode', async () => {
+    const response = await api().post(`/api/memory/user/${uid}/import?conflict=replace`).set('Authorization', auth)
+      .send({ format: 'memory-vasa-export', version: 1 });
+    expectError(response, 400);
+  });
+});
+
+describe('deletion routes', () => {
+  const doomed = 'deletion-owner';
+  const doomedAuth = bearer(doomed);
+
+  test('DELETE /api/memory/user/:userUUID clears the data and reports counts', async () => {
+    await seed(doomed);
+    const response = await api().delete(`/api/memory/user/${doomed}`).set('Authorization', doomedAuth);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.message, 'User data cleared');
+    assert.equal(response.body.status, 'completed');
+    assert.ok(response.body.totalDeleted > 0);
+
+    const job = await api().get(`/api/memory/user/${doomed}/deletion/${response.body.jobId}`).set('Authorization', doomedAuth);
+    assert.equal(job.status, 200);
+    assert.equal(job.body.status, 'completed');
+    assert.equal(job.body.userUUID, doomed);
+
+    expectError(await api().get(`/api/memory/profile/${doomed}`).set('Authorization', doomedAuth), 404);
+  });
+
+  test('DELETE /api/memory/user/:userUUID?wait=false answers 202 with the job', async () => {
+    const response = await api().delete(`/api/memory/user/${doomed}?wait=false`).set('Authorization', doomedAuth);
+    assert.equal(response.status, 202);
+    assert.equal(response.body.status, 'running');
+    assert.equal(typeof response.body.jobId, 'string');
+  });
+
+  test('deletion jobs of unknown ids are 404', async () => {
+    expectError(await api().get(`/api/memory/user/${doomed}/deletion/nope`).set('Authorization', doomedAuth), 404);
+    expectError(await api().post(`/api/memory/user/${doomed}/deletion/nope/resume`).set('Authorization', doomedAuth), 404);
+  });
+});
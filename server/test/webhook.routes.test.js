@@ -0,0 +1,168 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { api, bearer, createApiKey, expectError, memoryService } from './helpers.js';
+
+// Response contracts of the ElevenLabs webhook route
+
+const uid = 'webhook-owner';
+
+function sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v0=${digest}`;
+}
+
+function transcription(conversationId) {
+  return {
+    type: 'post_call_transcription',
+    data: {
+      agent_id: 'agent-1',
+      conversation_id: conversationId,
+      user_id: uid,
+      metadata: { start_time_unix_secs: 1767225600, call_duration_secs: 60 },
+      transcript: [
+        { role: 'user', message: 'I keep dreaming of the sea', time_in_call_secs: 1 },
+        { role: 'agent', message: 'What does the sea bring up?', time_in_call_secs: 5 }
+      ],
+      analysis: { transcript_summary: 'Talked about recurring dreams', call_successful: 'success' }
+    }
+  };
+}
+
+afterEach(() => {
+  delete process.env.ELEVENLABS_WEBHOOK_SECRET;
+  process.env.NODE_ENV = 'test';
+});
+
+describe('webhook payloads', () => {
+  test('a legacy message is stored', async () => {
+    const response = await api().post('/api/elevenlabs-webhook').send({
+      user_id: uid, message: 'Hello again', message_type: 'user_message',
+      conversation_id: 'legacy-1', timestamp: '2026-01-01T10:00:00.000Z'
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.type, 'legacy_message');
+    assert.equal(response.body.messagesStored, 1);
+  });
+
+  test('a legacy message without user_id is acknowledged but not handled', async () => {
+    const response = await api().post('/api/elevenlabs-webhook').send({ message: 'Hello' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.handled, false);
+  });
+
+  test('post_call_transcription stores every turn once', async () => {
+    const payload = transcription('call-1');
+    const response = await api().post('/api/elevenlabs-webhook').send(payload);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.type, 'post_call_transcription');
+    assert.equal(response.body.handled, true);
+    assert.equal(response.body.messagesStored, 2);
+    assert.equal(typeof response.body.sessionId, 'string');
+
+    const redelivery = await api().post('/api/elevenlabs-webhook').send(payload);
+    assert.equal(redelivery.body.messagesStored, 0);
+    assert.equal(redelivery.body.duplicates, 2);
+
+    const history = await api().get(`/api/memory/conversation/${uid}`).set('Authorization', bearer(uid));
+    assert.equal(history.body.filter(message => message.conversation_id === 'call-1').length, 2);
+  });
+
+  test('post_call_transcription updates the digest once for the whole transcript', async () => {
+    const { digests } = memoryService;
+    const recordMessages = digests.recordMessages;
+    const calls = [];
+    digests.recordMessages = async (...args) => {
+      calls.push(args[1].length);
+      return recordMessages.apply(digests, args);
+    };
+    try {
+      const response = await api().post('/api/elevenlabs-webhook').send(transcription('call-digest'));
+      assert.equal(response.body.messagesStored, 2);
+    } finally {
+      digests.recordMessages = recordMessages;
+    }
+    assert.deepEqual(calls, [2]);
+  });
+
+  test('post_call_transcription without a conversation_id is 400', async () => {
+    const payload = transcription('call-none');
+    delete payload.data.conversation_id;
+    expectError(await api().post('/api/elevenlabs-webhook').send(payload), 400);
+    assert.equal(await memoryService.storage.getDoc(['users', uid, 'conversationSessions', 'undefined']), null);
+  });
+
+  test('an unsupported event type is acknowledged but not handled', async () => {
+    const response = await api().post('/api/elevenlabs-webhook').send({ type: 'something_new', data: {} });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.handled, false);
+    assert.equal(response.body.reason, 'Unsupported event type');
+  });
+});
+
+describe('webhook auth errors', () => {
+  test('a signed delivery is accepted when a secret is set', async () => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = 'shh';
+    const body = JSON.stringify(transcription('call-signed'));
+    const response = await api().post('/api/elevenlabs-webhook')
+      .set('Content-Type', 'application/json')
+      .set('ElevenLabs-Signature', sign(body, 'shh'))
+      .send(body);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.messagesStored, 2);
+  });
+
+  test('an unsigned or wrongly signed delivery is 401 when a secret is set', async () => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = 'shh';
+    const body = JSON.stringify(transcription('call-forged'));
+    expectError(await api().post('/api/elevenlabs-webhook').set('Content-Type', 'application/json').send(body), 401);
+    const forged = await api().post('/api/elevenlabs-webhook')
+      .set('Content-Type', 'application/json')
+      .set('ElevenLabs-Signature', sign(body, 'wrong'))
+      .send(body);
+    expectError(forged, 401);
+  });
+
+  test('a stale signature is 401', async () => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = 'shh';
+    const body = JSON.stringify(transcription('call-stale'));
+    const response = await api().post('/api/elevenlabs-webhook')
+      .set('Content-Type', 'application/json')
+      .set('ElevenLabs-Signature', sign(body, 'shh', Math.floor(Date.now() / 1000) - 3600))
+      .send(body);
+    expectError(response, 401);
+  });
+
+  test('a webhook-scoped API key replaces the signature', async () => {
+    process.env.ELEVENLABS_WEBHOOK_SECRET = 'shh';
+    const apiKey = await createApiKey(['webhook']);
+    const response = await api().post('/api/elevenlabs-webhook').set('X-API-Key', apiKey)
+      .send(transcription('call-keyed'));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.messagesStored, 2);
+  });
+
+  test('an API key without the webhook scope is 403', async () => {
+    const apiKey = await createApiKey(['memory:write']);
+    expectError(await api().post('/api/elevenlabs-webhook').set('X-API-Key', apiKey).send(transcription('call-x')), 403);
+  });
+
+  test('unsigned deliveries are rejected in production when no secret is set', async () => {
+    process.env.NODE_ENV = 'production';
+    expectError(await api().post('/api/elevenlabs-webhook').send(transcription('call-prod')), 503);
+  });
+
+  test('a webhook-scoped API key still works in production without a secret', async () => {
+    const apiKey = await createApiKey(['webhook']);
+    process.env.NODE_ENV = 'production';
+    const response = await api().post('/api/elevenlabs-webhook').set('X-API-Key', apiKey)
+      .send(transcription('call-prod-keyed'));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.messagesStored, 2);
+  });
+
+  test('an invalid API key is 401', async () => {
+    expectError(await api().post('/api/elevenlabs-webhook').set('X-API-Key', 'mv_nope').send({}), 401);
+  });
+});
@@ -1,8 +1,15 @@
+import { registerTool } from './registry.js';
+import { createSessionData } from '../models/SessionData.js';
+import { CSS_STAGES, allowedTransitions } from '../models/stages.js';
+import ContextBuilder, { CONTEXT_SECTIONS } from '../services/ContextBuilder.js';
+import { CONVERSATION_WINDOW_MODES } from '../services/ConversationWindowService.js';
+
 class ContextTool {
   constructor(firebaseService = null) {
     this.name = 'get_user_context';
     this.description = 'Retrieve conversation history, user profile, and symbolic progression data to maintain continuity across sessions.';
     this.firebaseService = firebaseService;
+    this.scope = 'tools:read';
 
     // Tool schema for ElevenLabs
     this.schema = {
@@ -32,6 +39,37 @@ class ContextTool {
               maximum: 50,
               default: 10,
               description: 'Number of recent entries to retrieve'
+            },
+            window: {
+              type: 'string',
+              enum: CONVERSATION_WINDOW_MODES,
+              default: 'latest',
+              description: 'Which conversation turns to include: the latest ones, the current session only, those around a moment, or everything since the previous session began'
+            },
+            around: {
+              type: 'string',
+              description: 'ISO 8601 timestamp to centre the conversation window on (required when window is "around")'
+            },
+            max_tokens: {
+              type: 'integer',
+              minimum: 50,
+              maximum: 32000,
+              description: 'Fit the context into roughly this many tokens, dropping the least important material'
+            },
+            max_chars: {
+              type: 'integer',
+              minimum: 200,
+              maximum: 128000,
+              description: 'Fit the context into this many characters, dropping the least important material'
+            },
+            priorities: {
+              type: 'array',
+              items: { type: 'string', enum: CONTEXT_SECTIONS },
+              description: 'Sections to include when a budget is set, most important first'
+            },
+            query: {
+              type: 'string',
+              description: 'Topic to recall relevant memories for when a budget is set'
             }
           },
           required: ['user_id']
@@ -42,7 +80,10 @@ class ContextTool {
 
   async execute(parameters) {
     try {
-      const { user_id, context_type = 'all', session_id, limit = 10 } = parameters;
+      const {
+        user_id, context_type = 'all', session_id, limit = 10,
+        window: windowMode = 'latest', around, max_tokens, max_chars, priorities, query
+      } = parameters;
 
       if (!user_id) {
         return {
@@ -51,6 +92,20 @@ class ContextTool {
         };
       }
 
+      if (!CONVERSATION_WINDOW_MODES.includes(windowMode)) {
+        return {
+          success: false,
+          error: `Window must be one of: ${CONVERSATION_WINDOW_MODES.join(', ')}`
+        };
+      }
+
+      if (windowMode === 'around' && Number.isNaN(Date.parse(around))) {
+        return {
+          success: false,
+          error: 'An ISO 8601 around timestamp is required for the around window'
+        };
+      }
+
       if (!this.firebaseService) {
         return {
           success: false,
@@ -58,8 +113,15 @@ class ContextTool {
         };
       }
 
-      // Get current session ID if not provided
-      const currentSessionId = session_id || await this.firebaseService.getCurrentSessionId(user_id);
+      // Fall back to the active session; reading context never starts one
+      const currentSessionId = session_id || (await this.firebaseService.getActiveSession(user_id))?.sessionId || null;
+
+      // With a budget the context is packed by priority instead of returned in the fixed shape
+      if (max_tokens || max_chars) {
+        return this.executeWithBudget(user_id, currentSessionId, {
+          max_tokens, max_chars, priorities, query, limit, window: windowMode, around
+        });
+      }
 
       const result = {
         user_id,
@@ -71,16 +133,26 @@ class ContextTool {
       // Get conversation history
       if (context_type === 'conversation' || context_type === 'all') {
         try {
-          const conversations = await this.firebaseService.getConversationHistory(user_id, limit);
+          const { turns, ...window } = await this.firebaseService.getConversationWindow(user_id, {
+            mode: windowMode,
+            limit,
+            sessionId: currentSessionId,
+            around
+          });
+          const digest = await this.firebaseService.getDigest?.(user_id);
           result.context.conversations = {
-            total: conversations.length,
-            recent_messages: conversations.slice(-5).map(msg => ({
-              type: msg.type,
-              content: msg.content?.substring(0, 200) + (msg.content?.length > 200 ? '...' : ''),
-              stage: msg.stage,
-              timestamp: msg.timestamp
+            window,
+            total: turns.length,
+            // Oldest first, so the last message is the most recent one
+            recent_messages: turns.map(turn => ({
+              speaker: turn.speaker,
+              type: turn.type,
+              content: turn.content?.substring(0, 200) + (turn.content?.length > 200 ? '...' : ''),
+              stage: turn.stage,
+              timestamp: turn.timestamp
             })),
-            summary: this.generateConversationSummary(conversations)
+            summary: this.generateConversationSummary(turns, digest),
+            digest: this.formatDigest(digest)
           };
         } catch (error) {
           result.context.conversations = { error: 'Failed to retrieve conversations' };
@@ -100,6 +172,15 @@ class ContextTool {
               themes: profile.recurring_themes || []
             };
           }
+          const themes = await this.firebaseService.getThemes(user_id, { limit: 5 });
+          if (result.context.profile && themes.length > 0) {
+            result.context.profile.theme_recurrence = themes.map(entry => ({
+              theme: entry.theme,
+              recurrence: entry.recurrence,
+              sessions_seen: entry.sessionCount,
+              last_seen: entry.lastSeenAt
+            }));
+          }
         } catch (error) {
           result.context.profile = { error: 'Failed to retrieve profile' };
         }
@@ -108,12 +189,30 @@ class ContextTool {
       // Get stage progressions
       if (context_type === 'stages' || context_type === 'all') {
         try {
-          const stages = await this.firebaseService.getUserStageProgressions(user_id, limit);
+          const state = await this.firebaseService.getStageState(user_id, { trajectoryLength: limit });
+          const current = state.currentStage;
           result.context.stages = {
-            current_stage: result.context.profile?.current_stage || '⊙',
-            progression_notes: 'Stage progression tracking active',
-            total_progressions: stages.length
+            current_stage: current,
+            stage_name: current ? CSS_STAGES[current].name : null,
+            previous_stage: state.previousStage,
+            changed_at: state.changedAt,
+            source: state.source,
+            progression_notes: current ? CSS_STAGES[current].meaning : 'No stage recorded yet',
+            guidance: this.generateStageGuidance(state),
+            trajectory: state.trajectory,
+            trajectory_direction: state.direction,
+            possible_next_stages: allowedTransitions(current).filter(next => next.type !== 'hold'),
+            total_progressions: state.analytics.totalProgressions,
+            regressions: state.analytics.regressions.count,
+            cycles_completed: state.analytics.cyclesCompleted
           };
+          if (state.reconciled) {
+            result.context.stages.reconciled_from_profile_stage = state.profileStage;
+          }
+          // The profile block read currentStage before it was reconciled
+          if (result.context.profile && current) {
+            result.context.profile.current_stage = current;
+          }
         } catch (error) {
           result.context.stages = { error: 'Failed to retrieve stage data' };
         }
@@ -122,14 +221,21 @@ class ContextTool {
       // Get session-specific data
       if ((context_type === 'session' || context_type === 'all') && currentSessionId) {
         try {
-          const sessionData = await this.firebaseService.getSessionData(user_id, currentSessionId);
+          // Normalize so a partial payload still satisfies the SessionData contract
+          const sessionData = createSessionData(
+            currentSessionId,
+            await this.firebaseService.getSessionData(user_id, currentSessionId)
+          );
           result.context.session = {
             session_id: currentSessionId,
-            stage_progressions: sessionData.stage_progressions || [],
-            user_context: sessionData.user_context || [],
-            breakthrough_moments: sessionData.breakthrough_moments || [],
-            therapeutic_themes: sessionData.therapeutic_themes || [],
-            summary: this.generateSessionSummary(sessionData)
+            status: sessionData.session?.status || null,
+            started_at: sessionData.session?.startedAt || null,
+            stage_progressions: sessionData.stages,
+            user_context: sessionData.context,
+            breakthrough_moments: sessionData.breakthroughs,
+            therapeutic_themes: sessionData.themes,
+            summary: this.generateSessionSummary(sessionData),
+            digest: this.formatDigest(await this.firebaseService.getDigest?.(user_id, currentSessionId))
           };
         } catch (error) {
           result.context.session = { error: 'Failed to retrieve session data' };
@@ -150,7 +256,45 @@ class ContextTool {
     }
   }
 
-  generateConversationSummary(conversations) {
+  async executeWithBudget(userId, sessionId, { max_tokens, max_chars, priorities, query, limit, window, around }) {
+    const built = await new ContextBuilder(this.firebaseService).build(userId, {
+      maxTokens: max_tokens,
+      maxChars: max_chars,
+      priorities: priorities?.length ? priorities : undefined,
+      query,
+      limit,
+      window: { mode: window, sessionId, around }
+    });
+
+    const instructions = ['Acknowledge conversation continuity naturally in your response.'];
+    if (built.context.current_stage) {
+      instructions.unshift(`Continue from CSS stage: ${built.context.current_stage.stage}.`);
+    }
+    if (built.dropped.length > 0) {
+      instructions.push('Some older memory did not fit; use search_memory if the user refers to something not shown.');
+    }
+
+    return {
+      success: true,
+      data: {
+        user_id: userId,
+        session_id: sessionId,
+        timestamp: new Date().toISOString(),
+        context: built.context,
+        budget: built.budget,
+        sections: built.sections,
+        dropped: built.dropped
+      },
+      instructions: instructions.join(' ')
+    };
+  }
+
+  // Prefer the rolling digest; fall back to counts for history recorded before digests existed
+  generateConversationSummary(conversations, digest = null) {
+    if (digest?.summary) {
+      return digest.summary;
+    }
+
     if (!conversations || conversations.length === 0) {
       return 'No previous conversation history found.';
     }
@@ -165,19 +309,38 @@ class ContextTool {
       summary += ` CSS stages explored: ${stages.join(', ')}.`;
     }
 
-    // Identify recurring themes
-    const allContent = conversations.map(c => c.content || '').join(' ').toLowerCase();
-    const themes = [];
-    if (allContent.includes('contradiction')) themes.push('contradictions/tensions');
-    if (allContent.includes('completion')) themes.push('completion work');
-    if (allContent.includes('fragment')) themes.push('fragmentation');
-    if (allContent.includes('integration')) themes.push('integration');
+    return summary;
+  }
 
-    if (themes.length > 0) {
-      summary += ` Recurring themes: ${themes.join(', ')}.`;
+  formatDigest(digest) {
+    if (!digest) {
+      return null;
     }
 
-    return summary;
+    return {
+      key_topics: digest.keyTopics || [],
+      unresolved_threads: (digest.unresolvedThreads || []).map(thread => thread.text),
+      emotional_tone: digest.emotionalTone?.label || 'neutral',
+      last_stage: digest.lastStage || null,
+      message_count: digest.messageCount || 0,
+      updated_at: digest.updatedAt || null
+    };
+  }
+
+  // Stage-specific guidance for the agent, with a note when the user recently moved back
+  generateStageGuidance(state) {
+    if (!state.currentStage) {
+      return 'No stage has been recorded yet. Listen for the pattern the user is beginning to notice.';
+    }
+
+    const parts = [CSS_STAGES[state.currentStage].guidance];
+    const lastStep = state.trajectory[state.trajectory.length - 1];
+    if (lastStep?.transition === 'regression' && state.previousStage) {
+      parts.push(`The user recently moved back from ${CSS_STAGES[state.previousStage].name}; treat this as part of the process rather than a setback.`);
+    } else if (state.direction === 'regressing') {
+      parts.push('Recent movement has mostly been backwards; slow down and rebuild safety before moving forward.');
+    }
+    return parts.join(' ');
   }
 
   generateInstructions(contextData) {
@@ -188,12 +351,24 @@ class ContextTool {
       instructions.push('Build upon established symbolic themes and patterns.');
     }
 
+    if (contextData.context.conversations?.digest?.unresolved_threads.length > 0) {
+      instructions.push('Gently revisit open threads from earlier conversations when the moment allows.');
+    }
+
+    const returning = (contextData.context.profile?.theme_recurrence || [])
+      .filter(entry => entry.sessions_seen > 1)
+      .map(entry => `${entry.theme} (${entry.recurrence})`);
+    if (returning.length > 0) {
+      instructions.push(`Recurring themes: ${returning.join('; ')}. Name the pattern gently when it fits.`);
+    }
+
     if (contextData.context.profile?.symbolic_name) {
       instructions.push(`Address user by their symbolic name: ${contextData.context.profile.symbolic_name}.`);
     }
 
-    if (contextData.context.profile?.current_stage) {
-      instructions.push(`Continue from CSS stage: ${contextData.context.profile.current_stage}.`);
+    const currentStage = contextData.context.stages?.current_stage || contextData.context.profile?.current_stage;
+    if (currentStage) {
+      instructions.push(`Continue from CSS stage: ${currentStage}.`);
     }
 
     instructions.push('Acknowledge conversation continuity naturally in your response.');
@@ -201,29 +376,32 @@ class ContextTool {
     return instructions.join(' ');
   }
 
+  // sessionData is a SessionData (see models/SessionData.js)
   generateSessionSummary(sessionData) {
     const parts = [];
     
-    if (sessionData.stage_progressions?.length > 0) {
-      const stages = sessionData.stage_progressions.map(s => s.stage).join(', ');
+    if (sessionData.stages.length > 0) {
+      const stages = sessionData.stages.map(s => s.stage).join(', ');
       parts.push(`CSS stages in this session: ${stages}`);
     }
     
-    if (sessionData.breakthrough_moments?.length > 0) {
-      parts.push(`${sessionData.breakthrough_moments.length} breakthrough moment(s) identified`);
+    if (sessionData.breakthroughs.length > 0) {
+      parts.push(`${sessionData.breakthroughs.length} breakthrough moment(s) identified`);
     }
     
-    if (sessionData.therapeutic_themes?.length > 0) {
-      const themes = sessionData.therapeutic_themes.map(t => t.theme || t.name).join(', ');
+    if (sessionData.themes.length > 0) {
+      const themes = sessionData.themes.map(t => t.theme || t.name).join(', ');
       parts.push(`Therapeutic themes: ${themes}`);
     }
     
-    if (sessionData.user_context?.length > 0) {
-      parts.push(`${sessionData.user_context.length} context entries recorded`);
+    if (sessionData.context.length > 0) {
+      parts.push(`${sessionData.context.length} context entries recorded`);
     }
     
     return parts.join('. ') || 'New session, no data recorded yet.';
   }
 }
 
+registerTool(ContextTool);
+
 export default ContextTool;
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { STAGE_SYMBOLS } from '../models/stages.js';
+import { breakthroughSchema } from '../validation/schemas.js';
+import { runWriteTool, resolveSessionId, storeRecord, compact } from './toolUtils.js';
+import { registerTool } from './registry.js';
+
+class RecordBreakthroughTool {
+  constructor(firebaseService = null) {
+    this.name = 'record_breakthrough';
+    this.description = 'Record a breakthrough moment or insight the user reached during this conversation.';
+    this.firebaseService = firebaseService;
+    this.scope = 'tools:write';
+
+    // Tool schema for ElevenLabs
+    this.schema = {
+      type: 'function',
+      function: {
+        name: this.name,
+        description: this.description,
+        parameters: {
+          type: 'object',
+          properties: {
+            user_id: {
+              type: 'string',
+              description: 'The unique identifier for the user'
+            },
+            description: {
+              type: 'string',
+              description: 'What the breakthrough was, in a sentence or two'
+            },
+            insight: {
+              type: 'string',
+              description: 'The realization in the user\'s own terms, if expressed'
+            },
+            trigger: {
+              type: 'string',
+              description: 'What led to the breakthrough'
+            },
+            stage: {
+              type: 'string',
+              enum: STAGE_SYMBOLS,
+              description: 'CSS stage at the time of the breakthrough'
+            },
+            intensity: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              description: 'How significant the moment seemed, 0-10'
+            },
+            session_id: {
+              type: 'string',
+              description: 'Session to record into (optional, uses current session if not provided)'
+            }
+          },
+          required: ['user_id', 'description']
+        }
+      }
+    };
+  }
+
+  async execute(parameters) {
+    const { user_id, description, insight, trigger, stage, intensity, session_id } = parameters;
+
+    return runWriteTool(this.firebaseService, user_id, 'Recording breakthrough', async () => {
+      const sessionId = await resolveSessionId(this.firebaseService, user_id, session_id);
+      const record = compact({
+        description,
+        insight,
+        trigger,
+        stage,
+        intensity,
+        metadata: { source: 'agent_tool' }
+      });
+
+      const result = await storeRecord(breakthroughSchema, user_id, record,
+        valid => this.firebaseService.storeBreakthroughMoment(user_id, sessionId, valid));
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        data: { id: result.id, session_id: sessionId }
+      };
+    });
+  }
+}
+
+registerTool(RecordBreakthroughTool);
+
+export default RecordBreakthroughTool;
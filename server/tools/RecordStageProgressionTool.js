@@ -0,0 +1,86 @@
+import { STAGE_SYMBOLS } from '../models/stages.js';
+import { stageProgressionSchema } from '../validation/schemas.js';
+import { runWriteTool, resolveSessionId, storeRecord, compact } from './toolUtils.js';
+import { registerTool } from './registry.js';
+
+class RecordStageProgressionTool {
+  constructor(firebaseService = null) {
+    this.name = 'record_stage_progression';
+    this.description = 'Record that the user has moved to a CSS stage during this conversation. Stages advance one at a time, may fall back to any earlier stage, and start over at ⊙ after ⊘; skipping ahead is rejected.';
+    this.firebaseService = firebaseService;
+    this.scope = 'tools:write';
+
+    // Tool schema for ElevenLabs
+    this.schema = {
+      type: 'function',
+      function: {
+        name: this.name,
+        description: this.description,
+        parameters: {
+          type: 'object',
+          properties: {
+            user_id: {
+              type: 'string',
+              description: 'The unique identifier for the user'
+            },
+            stage: {
+              type: 'string',
+              enum: STAGE_SYMBOLS,
+              description: 'The CSS stage symbol the user has reached'
+            },
+            previous_stage: {
+              type: 'string',
+              enum: STAGE_SYMBOLS,
+              description: 'The stage the user is moving from, if known (the stored current stage takes precedence)'
+            },
+            trigger: {
+              type: 'string',
+              description: 'What prompted the movement'
+            },
+            notes: {
+              type: 'string',
+              description: 'Brief observation supporting the stage assessment'
+            },
+            session_id: {
+              type: 'string',
+              description: 'Session to record into (optional, uses current session if not provided)'
+            }
+          },
+          required: ['user_id', 'stage']
+        }
+      }
+    };
+  }
+
+  async execute(parameters) {
+    const { user_id, stage, previous_stage, trigger, notes, session_id } = parameters;
+
+    return runWriteTool(this.firebaseService, user_id, 'Recording stage progression', async () => {
+      const sessionId = await resolveSessionId(this.firebaseService, user_id, session_id);
+      const record = compact({
+        stage,
+        previousStage: previous_stage,
+        trigger,
+        notes,
+        sessionId,
+        metadata: { source: 'agent_tool' }
+      });
+
+      // Records into both the user's stage history and the session
+      const result = await storeRecord(stageProgressionSchema, user_id, record,
+        valid => this.firebaseService.storeSessionStageProgression(user_id, sessionId, valid));
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        data: { id: result.id, session_id: sessionId, stage, previous_stage: result.transition.from, transition: result.transition.type }
+      };
+    });
+  }
+}
+
+registerTool(RecordStageProgressionTool);
+
+export default RecordStageProgressionTool;
@@ -0,0 +1,85 @@
+import { STAGE_SYMBOLS } from '../models/stages.js';
+import { themeSchema } from '../validation/schemas.js';
+import { runWriteTool, resolveSessionId, storeRecord, compact } from './toolUtils.js';
+import { registerTool } from './registry.js';
+
+class RecordThemeTool {
+  constructor(firebaseService = null) {
+    this.name = 'record_theme';
+    this.description = 'Record a therapeutic theme that came up during this conversation.';
+    this.firebaseService = firebaseService;
+    this.scope = 'tools:write';
+
+    // Tool schema for ElevenLabs
+    this.schema = {
+      type: 'function',
+      function: {
+        name: this.name,
+        description: this.description,
+        parameters: {
+          type: 'object',
+          properties: {
+            user_id: {
+              type: 'string',
+              description: 'The unique identifier for the user'
+            },
+            theme: {
+              type: 'string',
+              description: 'Short name for the theme, e.g. "fear of abandonment"'
+            },
+            description: {
+              type: 'string',
+              description: 'How the theme showed up in this conversation'
+            },
+            stage: {
+              type: 'string',
+              enum: STAGE_SYMBOLS,
+              description: 'CSS stage in which the theme appeared'
+            },
+            intensity: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              description: 'How prominent the theme was, 0-10'
+            },
+            session_id: {
+              type: 'string',
+              description: 'Session to record into (optional, uses current session if not provided)'
+            }
+          },
+          required: ['user_id', 'theme']
+        }
+      }
+    };
+  }
+
+  async execute(parameters) {
+    const { user_id, theme, description, stage, intensity, session_id } = parameters;
+
+    return runWriteTool(this.firebaseService, user_id, 'Recording theme', async () => {
+      const sessionId = await resolveSessionId(this.firebaseService, user_id, session_id);
+      const record = compact({
+        theme,
+        description,
+        stage,
+        intensity,
+        metadata: { source: 'agent_tool' }
+      });
+
+      const result = await storeRecord(themeSchema, user_id, record,
+        valid => this.firebaseService.storeTherapeuticTheme(user_id, sessionId, valid));
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        data: { id: result.id, session_id: sessionId, theme }
+      };
+    });
+  }
+}
+
+registerTool(RecordThemeTool);
+
+export default RecordThemeTool;
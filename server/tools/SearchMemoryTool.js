@@ -0,0 +1,105 @@
+import { SEARCH_TYPES } from '../services/SearchService.js';
+import { registerTool } from './registry.js';
+
+class SearchMemoryTool {
+  constructor(firebaseService = null) {
+    this.name = 'search_memory';
+    this.description = 'Search the user\'s stored conversations, context, breakthroughs and themes to recall what was said about a topic.';
+    this.firebaseService = firebaseService;
+    this.scope = 'tools:read';
+
+    // Tool schema for ElevenLabs
+    this.schema = {
+      type: 'function',
+      function: {
+        name: this.name,
+        description: this.description,
+        parameters: {
+          type: 'object',
+          properties: {
+            user_id: {
+              type: 'string',
+              description: 'The unique identifier for the user'
+            },
+            query: {
+              type: 'string',
+              description: 'What to look for, e.g. "my father" or "feeling stuck at work"'
+            },
+            types: {
+              type: 'array',
+              items: { type: 'string', enum: SEARCH_TYPES },
+              description: 'Record types to search (defaults to all)'
+            },
+            from: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Only include records on or after this ISO 8601 date'
+            },
+            to: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Only include records on or before this ISO 8601 date'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 20,
+              default: 5,
+              description: 'Maximum number of results'
+            }
+          },
+          required: ['user_id', 'query']
+        }
+      }
+    };
+  }
+
+  async execute(parameters) {
+    try {
+      const { user_id, query, types = SEARCH_TYPES, from, to, limit = 5 } = parameters;
+
+      if (!user_id || !query) {
+        return {
+          success: false,
+          error: 'User ID and query are required'
+        };
+      }
+
+      if (!this.firebaseService) {
+        return {
+          success: false,
+          error: 'Firebase service not available'
+        };
+      }
+
+      // Stored timestamps are ISO 8601 in UTC, so the bounds are compared in the same form
+      const results = await this.firebaseService.searchMemory(user_id, query, {
+        types,
+        from: from && new Date(from).toISOString(),
+        to: to && new Date(to).toISOString(),
+        limit
+      });
+
+      return {
+        success: true,
+        data: {
+          user_id,
+          query,
+          results
+        },
+        instructions: results.length > 0
+          ? 'Use these recalled moments naturally; mention when something was said if it helps the user.'
+          : 'Nothing relevant was found in memory. Say so honestly rather than guessing.'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Memory search failed: ${error.message}`
+      };
+    }
+  }
+}
+
+registerTool(SearchMemoryTool);
+
+export default SearchMemoryTool;
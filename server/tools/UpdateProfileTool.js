@@ -0,0 +1,67 @@
+import { profileSchema } from '../validation/schemas.js';
+import { runWriteTool, storeRecord, compact } from './toolUtils.js';
+import { registerTool } from './registry.js';
+
+class UpdateProfileTool {
+  constructor(firebaseService = null) {
+    this.name = 'update_profile';
+    this.description = 'Update the user\'s profile with their symbolic name. Stages are recorded with record_stage_progression.';
+    this.firebaseService = firebaseService;
+    this.scope = 'tools:write';
+
+    // Tool schema for ElevenLabs
+    this.schema = {
+      type: 'function',
+      function: {
+        name: this.name,
+        description: this.description,
+        parameters: {
+          type: 'object',
+          properties: {
+            user_id: {
+              type: 'string',
+              description: 'The unique identifier for the user'
+            },
+            symbolic_name: {
+              type: 'string',
+              description: 'The symbolic name the user has chosen'
+            }
+          },
+          required: ['user_id']
+        }
+      }
+    };
+  }
+
+  async execute(parameters) {
+    const { user_id, symbolic_name } = parameters;
+
+    return runWriteTool(this.firebaseService, user_id, 'Updating profile', async () => {
+      const updates = compact({
+        symbolicName: symbolic_name
+      });
+
+      if (Object.keys(updates).length === 0) {
+        return {
+          success: false,
+          error: 'Nothing to update'
+        };
+      }
+
+      const result = await storeRecord(profileSchema, user_id, updates,
+        valid => this.firebaseService.storeUserProfile(user_id, valid));
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        data: { updated: Object.keys(updates) }
+      };
+    });
+  }
+}
+
+registerTool(UpdateProfileTool);
+
+export default UpdateProfileTool;
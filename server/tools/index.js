@@ -1,16 +1,19 @@
+import { createTools } from './registry.js';
 
-import ContextTool from './ContextTool.js';
+// Importing a tool module registers it. Add new tools here; the router picks them up.
+import './ContextTool.js';
+import './SearchMemoryTool.js';
+import './RecordStageProgressionTool.js';
+import './RecordBreakthroughTool.js';
+import './RecordThemeTool.js';
+import './UpdateProfileTool.js';
 
 let toolsInstance = null;
 
 export function initializeToolsWithFirebase(firebaseService) {
-  const contextTool = new ContextTool(firebaseService);
+  toolsInstance = createTools(firebaseService);
   
-  toolsInstance = {
-    get_user_context: contextTool
-  };
-  
-  console.log('✅ Tools initialized with Firebase service');
+  console.log(`✅ Tools initialized with Firebase service: ${Object.keys(toolsInstance).join(', ')}`);
   return toolsInstance;
 }
 
@@ -18,7 +21,13 @@ export function getTools() {
   return toolsInstance;
 }
 
+// Function-calling schemas for every tool (ElevenLabs / OpenAI format)
+export function getToolSchemas() {
+  return Object.values(toolsInstance || {}).map(tool => tool.schema);
+}
+
 export default {
   initializeToolsWithFirebase,
-  getTools
+  getTools,
+  getToolSchemas
 };
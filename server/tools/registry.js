@@ -0,0 +1,29 @@
+// Tool registry. Each tool module registers its class when imported; the tool's name,
+// ElevenLabs/OpenAI function schema and the API key scope required to call it come from
+// the instance (this.name, this.schema, this.scope).
+const toolClasses = new Set();
+
+export function registerTool(ToolClass) {
+  toolClasses.add(ToolClass);
+  return ToolClass;
+}
+
+// Instantiate every registered tool with the memory service, keyed by tool name
+export function createTools(firebaseService) {
+  const tools = {};
+
+  for (const ToolClass of toolClasses) {
+    const tool = new ToolClass(firebaseService);
+    if (tools[tool.name]) {
+      throw new Error(`Duplicate tool name: ${tool.name}`);
+    }
+    tools[tool.name] = tool;
+  }
+
+  return tools;
+}
+
+export default {
+  registerTool,
+  createTools
+};
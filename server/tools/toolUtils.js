@@ -0,0 +1,55 @@
+import { validate } from '../validation/validator.js';
+
+// Shared helpers for tools that write memory on behalf of the agent
+
+// Checks the user and the memory service, then runs write(). Thrown errors are
+// returned to the agent as `${action} failed: <message>`.
+export async function runWriteTool(firebaseService, userId, action, write) {
+  try {
+    if (!userId) {
+      return {
+        success: false,
+        error: 'User ID is required'
+      };
+    }
+
+    if (!firebaseService) {
+      return {
+        success: false,
+        error: 'Firebase service not available'
+      };
+    }
+
+    return await write();
+  } catch (error) {
+    return {
+      success: false,
+      error: `${action} failed: ${error.message}`
+    };
+  }
+}
+
+// Uses the given session, or the user's active one (starting it if needed)
+export async function resolveSessionId(firebaseService, userId, sessionId) {
+  return sessionId || firebaseService.getCurrentSessionId(userId);
+}
+
+// Validates a record against the same schema the REST route uses and stores it with
+// store(record). Returns the service result, or an error result for an invalid record.
+export async function storeRecord(schema, userId, record, store) {
+  const errors = validate(schema, { userUUID: userId, ...record });
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: 'Invalid parameters',
+      details: errors
+    };
+  }
+
+  return store(record);
+}
+
+// Drops undefined values so optional parameters are not written as empty fields
+export function compact(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
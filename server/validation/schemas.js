@@ -0,0 +1,219 @@
+import { STAGE_SYMBOLS } from '../models/stages.js';
+import { RETENTION_RECORD_TYPES } from '../models/userData.js';
+
+// Request body schemas for the memory routes. Every body carries the target userUUID
+// alongside the record fields; unknown fields are rejected so clients cannot write
+// arbitrary data, and free-form extras belong in the size-limited metadata object.
+
+const MAX_CONTENT_LENGTH = 10000;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_LABEL_LENGTH = 200;
+const MAX_METADATA_BYTES = 4096;
+const MAX_RECORD_BYTES = 32768;
+
+const userUUID = { type: 'string', minLength: 1, maxLength: 128 };
+const sessionId = { type: 'string', minLength: 1, maxLength: 128, pattern: '^[^/]+$' };
+const stage = { type: 'string', enum: STAGE_SYMBOLS };
+const timestamp = { type: 'string', format: 'date-time' };
+const label = { type: 'string', maxLength: MAX_LABEL_LENGTH };
+const text = { type: 'string', maxLength: MAX_TEXT_LENGTH };
+const metadata = { type: 'object', maxBytes: MAX_METADATA_BYTES };
+const tags = { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } };
+
+function recordSchema(required, properties) {
+  return {
+    type: 'object',
+    required: ['userUUID', ...required],
+    additionalProperties: false,
+    maxBytes: MAX_RECORD_BYTES,
+    properties: { userUUID, timestamp, metadata, ...properties }
+  };
+}
+
+export const conversationMessageSchema = recordSchema(['type', 'content'], {
+  type: { type: 'string', enum: ['user', 'assistant', 'system'] },
+  content: { type: 'string', minLength: 1, maxLength: MAX_CONTENT_LENGTH },
+  stage,
+  sessionId,
+  agent_id: label,
+  conversation_id: label
+});
+
+export const stageProgressionSchema = recordSchema(['stage'], {
+  stage,
+  previousStage: stage,
+  sessionId,
+  trigger: text,
+  notes: text,
+  confidence: { type: 'number', minimum: 0, maximum: 1 }
+});
+
+export const contextEntrySchema = recordSchema(['content'], {
+  contextType: label,
+  content: { type: 'string', minLength: 1, maxLength: MAX_CONTENT_LENGTH },
+  stage,
+  sessionId,
+  tags
+});
+
+export const breakthroughSchema = recordSchema(['description'], {
+  description: { type: 'string', minLength: 1, maxLength: MAX_CONTENT_LENGTH },
+  insight: text,
+  trigger: text,
+  stage,
+  intensity: { type: 'number', minimum: 0, maximum: 10 },
+  tags
+});
+
+export const themeSchema = recordSchema(['theme'], {
+  theme: { type: 'string', minLength: 1, maxLength: MAX_LABEL_LENGTH },
+  description: text,
+  stage,
+  intensity: { type: 'number', minimum: 0, maximum: 10 },
+  tags
+});
+
+export const profileSchema = recordSchema([], {
+  symbolicName: label,
+  name: label,
+  email: { type: 'string', maxLength: 320 },
+  registrationDate: timestamp,
+  createdAt: timestamp,
+  sessionCount: { type: 'integer', minimum: 0 },
+  recurring_themes: { type: 'array', maxItems: 50, items: label },
+  preferences: metadata,
+  // Per-user retention in days; can only shorten the server-wide periods
+  retention: {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(
+      RETENTION_RECORD_TYPES.map(type => [type, { type: 'integer', minimum: 1, maximum: 36500 }])
+    )
+  }
+});
+
+export const sessionStartSchema = {
+  type: 'object',
+  required: ['userUUID'],
+  additionalProperties: false,
+  properties: { userUUID, sessionId, metadata }
+};
+
+// Records as stored and exported: the request fields minus userUUID (the user is in the
+// document path), plus the fields the server adds when it writes them. Imports are checked
+// against these, so an archive can only restore what the API itself could have written.
+const nullableStage = { type: ['string', 'null'], enum: [...STAGE_SYMBOLS, null] };
+
+function storedSchema(schema, properties = {}) {
+  const fields = { ...schema.properties };
+  delete fields.userUUID;
+  return {
+    ...schema,
+    required: schema.required.filter(field => field !== 'userUUID'),
+    properties: {
+      ...fields,
+      id: { type: 'string' },
+      createdAt: timestamp,
+      idempotencyKey: { type: 'string', maxLength: 512 },
+      payloadHash: { type: 'string', maxLength: 64 },
+      ...properties
+    }
+  };
+}
+
+const storedStageSchema = storedSchema(stageProgressionSchema, { previousStage: nullableStage, transition: label });
+
+// Keyed by the collection (or session record type) the records live in
+export const storedRecordSchemas = {
+  conversations: storedSchema(conversationMessageSchema),
+  stages: storedStageSchema,
+  context: storedSchema(contextEntrySchema, { sessionId }),
+  breakthroughs: storedSchema(breakthroughSchema, { sessionId }),
+  themes: storedSchema(themeSchema, { sessionId })
+};
+
+export const storedProfileSchema = storedSchema(profileSchema, {
+  lastUpdated: timestamp,
+  currentStage: stage,
+  lastStage: nullableStage,
+  currentStageSince: timestamp
+});
+
+// Bookkeeping documents the server writes for itself, as stored and exported. Imports
+// check them like records; their free-form parts are only bounded by Firestore's 1 MiB
+// document limit, since digest state and archived records grow with the user's history.
+const MAX_DOCUMENT_BYTES = 1048576;
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+const nullableLabel = { type: ['string', 'null'], maxLength: MAX_LABEL_LENGTH };
+const storedObject = { type: 'object', maxBytes: MAX_DOCUMENT_BYTES };
+
+function internalSchema(properties) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    maxBytes: MAX_DOCUMENT_BYTES,
+    properties: { id: { type: 'string' }, ...properties }
+  };
+}
+
+export const storedInternalSchemas = {
+  digests: internalSchema({
+    summary: { type: 'string', maxLength: MAX_CONTENT_LENGTH },
+    keyTopics: { type: 'array', maxItems: 50, items: label },
+    unresolvedThreads: {
+      type: 'array',
+      maxItems: 50,
+      items: { type: 'object', additionalProperties: false, properties: { text, raisedAt: nullableTimestamp } }
+    },
+    emotionalTone: { type: 'object', additionalProperties: false, properties: { label, score: { type: 'number' } } },
+    lastStage: nullableStage,
+    messageCount: { type: 'integer', minimum: 0 },
+    lastMessageAt: nullableTimestamp,
+    state: storedObject,
+    sessionId: { ...sessionId, type: ['string', 'null'] },
+    summarizer: label,
+    updatedAt: timestamp
+  }),
+  conversationSessions: internalSchema({
+    conversationId: label,
+    sessionId,
+    agentId: nullableLabel,
+    createdAt: timestamp
+  }),
+  archive: internalSchema({
+    recordType: { type: 'string', enum: RETENTION_RECORD_TYPES },
+    sourcePath: { type: 'string', maxLength: 1024 },
+    timestamp,
+    archivedAt: timestamp,
+    record: storedObject
+  })
+};
+
+// Session metadata (users/{uid}/sessions/{sessionId}) without its record subcollections
+export const storedSessionSchema = internalSchema({
+  sessionId,
+  status: { type: 'string', enum: ['active', 'ended'] },
+  startedAt: timestamp,
+  lastActivityAt: timestamp,
+  endedAt: nullableTimestamp,
+  durationMs: { type: ['integer', 'null'], minimum: 0 },
+  endReason: nullableLabel,
+  messageCount: { type: 'integer', minimum: 0 },
+  stagesTouched: { type: 'array', maxItems: STAGE_SYMBOLS.length, items: stage },
+  conversationIds: { type: 'array', maxItems: 1000, items: label },
+  metadata
+});
+
+export default {
+  conversationMessageSchema,
+  stageProgressionSchema,
+  contextEntrySchema,
+  breakthroughSchema,
+  themeSchema,
+  profileSchema,
+  sessionStartSchema,
+  storedRecordSchemas,
+  storedProfileSchema,
+  storedInternalSchemas,
+  storedSessionSchema
+};
@@ -0,0 +1,118 @@
+// Minimal JSON Schema validator covering the subset our record schemas use:
+// type, enum, required, properties, additionalProperties, items, minLength, maxLength,
+// minimum, maximum, minItems, maxItems, maxProperties, pattern and format 'date-time'.
+// It also supports a non-standard maxBytes keyword limiting the JSON-encoded size.
+//
+// Returns a list of { field, message } errors; an empty list means the value is valid.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function validateValue(schema, value, field, errors) {
+  const label = field || 'body';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field: label, message: `must be of type ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: label, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.maxBytes !== undefined && Buffer.byteLength(JSON.stringify(value)) > schema.maxBytes) {
+    errors.push({ field: label, message: `must not exceed ${schema.maxBytes} bytes` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field: label, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: label, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: label, message: 'has an invalid format' });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push({ field: label, message: 'must be an ISO 8601 date-time' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: label, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: label, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: label, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: label, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, joinPath(field, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push({ field: label, message: `must have at most ${schema.maxProperties} properties` });
+    }
+
+    const missing = new Set();
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        missing.add(key);
+        errors.push({ field: joinPath(field, key), message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (value[key] === undefined || missing.has(key)) continue;
+
+      if (properties[key]) {
+        validateValue(properties[key], value[key], joinPath(field, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(field, key), message: 'is not an allowed field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, value[key], joinPath(field, key), errors);
+      }
+    }
+  }
+}
+
+export function validate(schema, value) {
+  const errors = [];
+  validateValue(schema, value, '', errors);
+  return errors;
+}
+
+export default validate;